@@ -8,6 +8,65 @@ export const ANYTHING_ELSE = Symbol('ANYTHING_ELSE')
 // Special oblivion state
 export const OBLIVION_STATE = Symbol('OBLIVION_STATE')
 
+// Special NFA transition symbol, for transitions which consume no input
+export const EPSILON = Symbol('EPSILON')
+
+/**
+  Thrown by `fsm` if its arguments don't describe a valid FSM. `kind` says
+  what is wrong, and `state` and `symbol`, where applicable, say where.
+*/
+export class InvalidFsmError extends Error {
+  constructor (kind, message, details = {}) {
+    super(message)
+    this.name = 'InvalidFsmError'
+    this.kind = kind
+    this.state = details.state
+    this.symbol = details.symbol
+  }
+}
+
+// The key under which a state or symbol is stored in an object
+const propertyKey = value =>
+  typeof value === 'symbol'
+    ? value
+    : isCharset(value) ? value[Symbol.toPrimitive]() : String(value)
+
+// How a state or symbol appears in messages. `String` can't be used for a
+// charset, whose primitive value is a Symbol
+const stringifyValue = value =>
+  isCharset(value) ? value.toString() : String(value)
+
+// Whether `map` has a transition for `state` and `symbol`. Only own
+// properties count, so states and symbols such as 'constructor' are safe
+const hasTransition = (map, state, symbol) =>
+  Object.prototype.hasOwnProperty.call(map, state) &&
+  Object.prototype.hasOwnProperty.call(map[state], symbol)
+
+// Return a function which finds the symbol in `alphabet` which `symbol`
+// stands for, if there is one. A character stands for the charset
+// containing it, and a charset stands for the charset (or single character)
+// which contains all of it
+const symbolResolver = alphabet => {
+  // Sets compare symbols just like `includes` does, but in constant time
+  const alphabetSet = new Set(alphabet)
+  const charsets = alphabet.filter(isCharset)
+
+  return symbol => {
+    if (alphabetSet.has(symbol)) {
+      return symbol
+    }
+    if (isCharset(symbol)) {
+      return symbol.isEmpty()
+        ? undefined
+        : alphabet.find(other => {
+          const set = isCharset(other) ? other : charsetOf(other)
+          return set !== null && symbol.isSubsetOf(set)
+        })
+    }
+    return charsets.find(set => set.has(symbol))
+  }
+}
+
 /**
   A Finite State Machine or FSM has an alphabet and a set of states. At any
   given moment, the FSM is in one state. When passed a symbol from the
@@ -31,47 +90,94 @@ export const fsm = (alphabet, states, finals, map) => {
     omitted transitions, a non-final "oblivion" state is simulated.
   */
 
-  // Validation
-  const _alphabet = {}
+  // Validation. States and symbols are used as keys in `map`, so they are
+  // compared as keys here
+  if (states.length === 0) {
+    throw new InvalidFsmError('emptyStates', 'An FSM must have at least one state')
+  }
+
+  const _alphabet = new Map()
   alphabet.forEach(symbol => {
-    if (symbol in _alphabet) {
-      throw Error('Duplicate alphabet symbol ' + symbol)
+    if (typeof symbol !== 'string' && typeof symbol !== 'symbol' && !isCharset(symbol)) {
+      throw new InvalidFsmError('invalidSymbol', 'Alphabet symbol ' + stringifyValue(symbol) + ' must be a string, a Symbol or a charset', { symbol })
+    }
+    if (_alphabet.has(propertyKey(symbol))) {
+      throw new InvalidFsmError('duplicateSymbol', 'Duplicate alphabet symbol ' + stringifyValue(symbol), { symbol })
     }
-    _alphabet[symbol] = true
+    _alphabet.set(propertyKey(symbol), symbol)
   })
 
+  // A character must not belong to two symbols at once
+  const charsets = alphabet.filter(isCharset)
+  charsets.forEach(set => {
+    alphabet.forEach(other => {
+      const otherSet = isCharset(other) ? other : charsetOf(other)
+      if (other !== set && otherSet !== null && !set.intersection(otherSet).isEmpty()) {
+        throw new InvalidFsmError('overlappingSymbols', 'Alphabet symbols ' + stringifyValue(set) + ' and ' + stringifyValue(other) + ' overlap', { symbol: other })
+      }
+    })
+  })
+
+  const _states = new Map()
+  states.forEach(state => {
+    if (_states.has(propertyKey(state))) {
+      throw new InvalidFsmError('duplicateState', 'Duplicate state ' + String(state), { state })
+    }
+    _states.set(propertyKey(state), state)
+  })
+
+  // Sets compare these just like `includes` does, but in constant time
+  const alphabetSet = new Set(alphabet)
+  const stateSet = new Set(states)
+  const finalSet = new Set(finals)
+
   finals.forEach(fynal => {
-    if (!states.includes(fynal)) {
-      throw Error('Final state ' + fynal + ' must be one of ' + states.join(', '))
+    if (!stateSet.has(fynal)) {
+      throw new InvalidFsmError('invalidFinal', 'Final state ' + String(fynal) + ' must be one of ' + states.map(String).join(', '), { state: fynal })
     }
   })
 
-  Object.keys(map).forEach(state => {
-    Object.keys(map[state]).forEach(symbol => {
-      if (!states.includes(map[state][symbol])) {
-        throw Error('Transition for state ' + state + ' and symbol ' + symbol + ' leads to ' + map[state][symbol] + ', which is not a state')
+  Reflect.ownKeys(map).forEach(key => {
+    if (!_states.has(key)) {
+      throw new InvalidFsmError('invalidMapState', 'Transitions for ' + String(key) + ', which is not a state', { state: key })
+    }
+    const state = _states.get(key)
+    Reflect.ownKeys(map[key]).forEach(symbolKey => {
+      if (!_alphabet.has(symbolKey)) {
+        throw new InvalidFsmError('invalidMapSymbol', 'Transition for state ' + String(state) + ' and symbol ' + String(symbolKey) + ', which is not in the alphabet', { state, symbol: symbolKey })
+      }
+      const symbol = _alphabet.get(symbolKey)
+      const next = map[key][symbolKey]
+      if (!stateSet.has(next)) {
+        throw new InvalidFsmError('invalidTransition', 'Transition for state ' + String(state) + ' and symbol ' + stringifyValue(symbol) + ' leads to ' + String(next) + ', which is not a state', { state, symbol })
       }
     })
   })
 
   const hasFinalState = function (state) {
-    return finals.includes(state)
+    return finalSet.has(state)
   }
 
+  const resolveSymbol = symbolResolver(alphabet)
+
   // `map` becomes a function
   const follow = function (state, symbol) {
-    if (!alphabet.includes(symbol)) {
-      if (!alphabet.includes(ANYTHING_ELSE)) {
-        throw Error('Unrecognised symbol ' + String(symbol))
+    const resolved = resolveSymbol(symbol)
+    if (resolved === undefined) {
+      if (!alphabetSet.has(ANYTHING_ELSE)) {
+        throw Error('Unrecognised symbol ' + stringifyValue(symbol))
       }
       symbol = ANYTHING_ELSE
+    } else {
+      symbol = resolved
     }
 
-    return state in map && symbol in map[state]
+    return hasTransition(map, state, symbol)
       ? map[state][symbol]
       : OBLIVION_STATE
   }
 
+  let _reverseMap
   let _liveStates
 
   return {
@@ -82,6 +188,7 @@ export const fsm = (alphabet, states, finals, map) => {
 
     follow: follow,
     hasFinalState: hasFinalState,
+    _resolveSymbol: resolveSymbol,
 
     /**
       Test whether the present FSM accepts the supplied string (array of
@@ -95,32 +202,61 @@ export const fsm = (alphabet, states, finals, map) => {
       return hasFinalState(input.reduce(follow, states[0]))
     },
 
-    _getLiveStates: function () {
-      if (_liveStates === undefined) {
-        const reverseMap = {}
+    /**
+      Return a cursor positioned at the initial state, which can be fed
+      symbols one at a time. See `cursor` below.
+    */
+    start: function () {
+      return cursor(this, states[0])
+    },
+
+    /**
+      For each state, and each symbol, list the states which lead to it. This
+      is a `Map` of `Map`s, so that states and symbols can be named anything.
+    */
+    _getReverseMap: function () {
+      if (_reverseMap === undefined) {
+        const reverseMap = new Map()
         states.forEach(state => {
           alphabet.forEach(symbol => {
             const next = follow(state, symbol)
-            if (!(next in reverseMap)) {
-              reverseMap[next] = {}
+            if (!reverseMap.has(next)) {
+              reverseMap.set(next, new Map())
+            }
+            const prevs = reverseMap.get(next)
+            if (!prevs.has(symbol)) {
+              prevs.set(symbol, [])
             }
-            reverseMap[next][state] = true
+            prevs.get(symbol).push(state)
           })
         })
 
-        const liveStates = {}
+        _reverseMap = reverseMap
+      }
 
-        const scan = function (liveState) {
-          liveStates[liveState] = true
-          Object.keys(reverseMap[liveState] || {}).forEach(prev => {
-            if (!(prev in liveStates)) {
-              scan(prev)
-            }
+      return _reverseMap
+    },
+
+    _getLiveStates: function () {
+      if (_liveStates === undefined) {
+        const reverseMap = this._getReverseMap()
+
+        // Walk the transitions backwards from the final states, keeping an
+        // explicit stack so that long chains of states can't overflow
+        const liveStates = new Set(finals)
+        const stack = finals.slice()
+        while (stack.length > 0) {
+          const prevs = reverseMap.get(stack.pop()) || new Map()
+          prevs.forEach(states => {
+            states.forEach(prev => {
+              if (!liveStates.has(prev)) {
+                liveStates.add(prev)
+                stack.push(prev)
+              }
+            })
           })
         }
 
-        finals.forEach(scan)
-
         _liveStates = liveStates
       }
 
@@ -128,14 +264,14 @@ export const fsm = (alphabet, states, finals, map) => {
     },
 
     _hasLiveState: function (state) {
-      return state in this._getLiveStates()
+      return this._getLiveStates().has(state)
     },
 
     toString: function () {
       const stringifyState = state =>
         state === OBLIVION_STATE ? '' : state
       const stringifySymbol = symbol =>
-        symbol === ANYTHING_ELSE ? '@@ANYTHING_ELSE' : symbol
+        symbol === ANYTHING_ELSE ? '@@ANYTHING_ELSE' : stringifyValue(symbol)
 
       let rows = [
         // top row
@@ -179,57 +315,192 @@ export const fsm = (alphabet, states, finals, map) => {
       return rows.map(row => row.join('') + '\n').join('')
     },
 
+    /**
+      Return a plain object describing this FSM, which `JSON.stringify` can
+      handle without losing information. See `fromJSON` for the format.
+    */
+    toJSON: function () {
+      const transitions = []
+      states.forEach(state => {
+        alphabet.forEach(symbol => {
+          if (hasTransition(map, state, symbol)) {
+            transitions.push([encodeJSONValue(state), encodeJSONValue(symbol), encodeJSONValue(map[state][symbol])])
+          }
+        })
+      })
+
+      return {
+        version: JSON_VERSION,
+        alphabet: alphabet.map(encodeJSONValue),
+        states: states.map(encodeJSONValue),
+        initial: encodeJSONValue(states[0]),
+        finals: finals.map(encodeJSONValue),
+        map: transitions
+      }
+    },
+
     /**
       Generate strings (lists of symbols) that this FSM accepts. Since there may
       be infinitely many of these we use a generator instead of constructing a
-      static list. Strings will be sorted in order of length and then lexically.
-      This procedure uses arbitrary amounts of memory but is very fast. There
-      may be more efficient ways to do this, that I haven't investigated yet.
+      static list. Strings will be sorted in order of length and then lexically,
+      where symbols are ordered as in the alphabet.
+      Only one length's worth of strings is held in memory at a time, and
+      strings which can't be continued into an accepted string are dropped.
+      `options.maxLength` and `options.limit` bound the length and number of
+      the strings generated. `options.startAfter` skips ahead to the strings
+      which would follow it in this ordering: prefixes which can only lead to
+      earlier strings of the same length are never expanded. Strings longer
+      than `startAfter` still need their whole level of the frontier.
     */
-    strings: function () {
-      // We store a list of tuples. Each tuple consists of an input string and the
-      // state that this input string leads to. This means we don't have to run the
-      // state machine from the very beginning every time we want to check a new
-      // string.
-      const strings = [{
-        cstring: [],
-        cstate: this.states[0]
-      }]
-      let i = -1
-
-      // This is the generator function
-      return {
-        next: () => {
-          while (true) {
-            i++
-            if (i >= strings.length) {
-              return { done: true }
+    strings: function * (options = {}) {
+      const bound = name => {
+        const value = options[name] === undefined ? Infinity : options[name]
+        if (value !== Infinity && !(Number.isInteger(value) && value >= 0)) {
+          throw Error(name + ' must be a non-negative integer, not ' + String(value))
+        }
+        return value
+      }
+      const maxLength = bound('maxLength')
+      const limit = bound('limit')
+
+      // Compare strings of the same length, symbol by symbol
+      const startAfter = options.startAfter === undefined
+        ? undefined
+        : options.startAfter.map(symbol => {
+          const resolved = resolveSymbol(symbol)
+          const rank = alphabet.indexOf(resolved === undefined ? ANYTHING_ELSE : resolved)
+          if (rank === -1) {
+            throw Error('Unrecognised symbol ' + stringifyValue(symbol))
+          }
+          return rank
+        })
+      const isAfterStart = ranks => {
+        if (startAfter === undefined || ranks.length !== startAfter.length) {
+          return startAfter === undefined || ranks.length > startAfter.length
+        }
+        const k = ranks.findIndex((rank, i) => rank !== startAfter[i])
+        return k !== -1 && ranks[k] > startAfter[k]
+      }
+
+      // Prefixes which sort before the prefix of `startAfter` with the same
+      // length can only lead to strings of that length which come before it
+      const isBeforeStart = ranks => {
+        const k = ranks.findIndex((rank, i) => rank !== startAfter[i])
+        return k !== -1 && ranks[k] < startAfter[k]
+      }
+
+      const children = frontier => {
+        const next = []
+        frontier.forEach(({ cstring, ranks, cstate }) => {
+          alphabet.forEach((symbol, rank) => {
+            const nstate = follow(cstate, symbol)
+            if (this._hasLiveState(nstate)) {
+              next.push({ cstring: cstring.concat([symbol]), ranks: ranks.concat([rank]), cstate: nstate })
             }
-            const string = strings[i]
-            const cstring = string.cstring
-            const cstate = string.cstate
-
-            this.alphabet.forEach(symbol => {
-              const nstate = follow(cstate, symbol)
-              if (!this._hasLiveState(nstate)) {
-                return
-              }
-              const nstring = cstring.concat([symbol])
-              strings.push({
-                cstring: nstring,
-                cstate: nstate
-              })
-            })
+          })
+        })
+        return next
+      }
 
-            if (hasFinalState(cstate)) {
-              return {
-                value: cstring,
-                done: false
-              }
+      // We store a list of tuples. Each tuple consists of an input string, the
+      // ranks of its symbols, and the state that this input string leads to.
+      // This means we don't have to run the state machine from the very
+      // beginning every time we want to check a new string.
+      const root = this._hasLiveState(states[0])
+        ? [{ cstring: [], ranks: [], cstate: states[0] }]
+        : []
+      let frontier = root
+      let pruning = startAfter !== undefined
+      let count = 0
+      if (limit === 0) {
+        return
+      }
+
+      for (let length = 0; frontier.length > 0 || pruning; length++) {
+        for (const { cstring, ranks, cstate } of frontier) {
+          if (hasFinalState(cstate) && isAfterStart(ranks)) {
+            yield cstring
+            count++
+            if (count === limit) {
+              return
             }
           }
         }
+
+        if (length === maxLength) {
+          return
+        }
+
+        if (pruning && length === startAfter.length) {
+          // Longer strings all come after `startAfter`, but they may extend
+          // prefixes which were pruned, so start again from scratch
+          frontier = root
+          for (let k = 0; k < length; k++) {
+            frontier = children(frontier)
+          }
+          pruning = false
+        }
+
+        frontier = children(frontier)
+        if (pruning) {
+          frontier = frontier.filter(({ ranks }) => !isBeforeStart(ranks))
+        }
+      }
+    }
+  }
+}
+
+/**
+  A cursor tracks the progress of an FSM through a string which is being
+  supplied incrementally, e.g. from a stream of events. `feed` and friends
+  return the cursor itself, so calls can be chained.
+*/
+const cursor = (fsm, initial) => {
+  let state = initial
+
+  return {
+    get state () {
+      return state
+    },
+
+    feed: function (symbol) {
+      state = fsm.follow(state, symbol)
+      return this
+    },
+
+    feedAll: function (symbols) {
+      for (const symbol of symbols) {
+        this.feed(symbol)
+      }
+      return this
+    },
+
+    /**
+      Like `feedAll`, but consumes an async iterable, such as a Node.js
+      stream in object mode. Resolves to the cursor once the iterable is
+      exhausted.
+    */
+    feedAllAsync: async function (symbols) {
+      for await (const symbol of symbols) {
+        this.feed(symbol)
       }
+      return this
+    },
+
+    isAccepting: function () {
+      return fsm.hasFinalState(state)
+    },
+
+    /**
+      True if no amount of further input can lead to a final state, so there
+      is no point feeding the cursor anything else.
+    */
+    isDead: function () {
+      return !fsm._hasLiveState(state)
+    },
+
+    clone: function () {
+      return cursor(fsm, state)
     }
   }
 }
@@ -261,210 +532,2943 @@ export const epsilon = alphabet => {
   return fsm(alphabet, [state], [state], map)
 }
 
-const unifyAlphabets = alphabets => {
-  const unified = []
-  alphabets.forEach(alphabet => {
-    alphabet.forEach(symbol => {
-      if (!unified.includes(symbol)) {
-        unified.push(symbol)
-      }
+/**
+  A Nondeterministic Finite Automaton or NFA is like an FSM, except that it
+  can be in several states at once. It starts in all of its initial states
+  simultaneously, a symbol may lead from one state to several others, and
+  `EPSILON` transitions may be taken at any time without consuming input.
+  The NFA accepts a string if, after consuming it, any of the states it is
+  in is final. Call `determinise()` to turn it into an ordinary FSM.
+*/
+export const nfa = (alphabet, states, initials, finals, map) => {
+  /*
+    `alphabet` is an array of symbols the NFA can be fed, not including
+      `EPSILON`
+    `states` is a non-empty array of states for the NFA
+    `initials` is an array of states which the NFA starts in
+    `finals` is an array of accepting states
+    `map[state][symbol]` is either a single state or an array of states.
+    `map[state][EPSILON]` lists the states which can be reached from
+    `state` without consuming any input. As with FSMs, `map` may be sparse:
+    omitted transitions lead nowhere.
+  */
+
+  // Validation
+  const _alphabet = new Set()
+  alphabet.forEach(symbol => {
+    if (symbol === EPSILON) {
+      throw Error('EPSILON cannot be an alphabet symbol')
+    }
+    if (_alphabet.has(propertyKey(symbol))) {
+      throw Error('Duplicate alphabet symbol ' + stringifyValue(symbol))
+    }
+    _alphabet.add(propertyKey(symbol))
+  })
+
+  initials.forEach(initial => {
+    if (!states.includes(initial)) {
+      throw Error('Initial state ' + initial + ' must be one of ' + states.join(', '))
+    }
+  })
+
+  finals.forEach(fynal => {
+    if (!states.includes(fynal)) {
+      throw Error('Final state ' + fynal + ' must be one of ' + states.join(', '))
+    }
+  })
+
+  // Symbol keys have to be checked too, for the sake of `EPSILON`
+  Object.keys(map).forEach(state => {
+    Reflect.ownKeys(map[state]).forEach(symbol => {
+      [].concat(map[state][symbol]).forEach(next => {
+        if (!states.includes(next)) {
+          throw Error('Transition for state ' + state + ' and symbol ' + stringifyValue(symbol) + ' leads to ' + next + ', which is not a state')
+        }
+      })
     })
   })
-  return unified
-}
 
-const parallel = (fsms, isFinal) => {
-  const alphabet = unifyAlphabets(fsms.map(fsm => fsm.alphabet))
+  const nexts = (state, symbol) =>
+    hasTransition(map, state, symbol)
+      ? [].concat(map[state][symbol])
+      : []
 
-  const initial = fsms.map(fsm => ({ fsm: fsm, substate: fsm.states[0] }))
+  /**
+    Return all of the states which can be reached from the supplied ones
+    by following `EPSILON` transitions, including the supplied ones
+    themselves. The result is always listed in the same order as `states`,
+    so that equal sets of states look equal.
+  */
+  const closure = function (current) {
+    const reached = new Set()
+    const scan = function (state) {
+      reached.add(state)
+      nexts(state, EPSILON).forEach(next => {
+        if (!reached.has(next)) {
+          scan(next)
+        }
+      })
+    }
+    current.forEach(scan)
+    return states.filter(state => reached.has(state))
+  }
 
-  // dedicated function accepts a "superset" and returns the next "superset"
-  // obtained by following this transition in the new FSM
-  const follow = (state, symbol) => {
-    const next = state
-      .filter(pair => pair.fsm.alphabet.includes(symbol))
-      .map(pair => ({ fsm: pair.fsm, substate: pair.fsm.follow(pair.substate, symbol) }))
-      .filter(pair => pair.substate !== OBLIVION_STATE)
+  const hasFinalState = function (state) {
+    return finals.includes(state)
+  }
 
-    return next.length === 0 ? OBLIVION_STATE : next
+  // Like an FSM's `follow`, but from a set of states to a set of states
+  const follow = function (current, symbol) {
+    if (!alphabet.includes(symbol)) {
+      if (!alphabet.includes(ANYTHING_ELSE)) {
+        throw Error('Unrecognised symbol ' + stringifyValue(symbol))
+      }
+      symbol = ANYTHING_ELSE
+    }
+
+    const next = []
+    current.forEach(state => {
+      next.push(...nexts(state, symbol))
+    })
+    return closure(next)
   }
 
-  return crawl(alphabet, initial, isFinal, follow)
-}
+  return {
+    alphabet,
+    states,
+    initials,
+    finals,
+    map,
 
-/**
-  Alternation. Return a finite state machine which accepts any
-  sequence of symbols that is accepted by any input FSM. If
-  `fsms` is empty, the output FSM is `null`.
-*/
-export const union = fsms =>
-  parallel(fsms, state => state.some(pair => pair.fsm.hasFinalState(pair.substate)))
+    closure,
+    follow,
+    hasFinalState,
 
-/**
-  Intersection.
-*/
-export const intersection = fsms =>
-  parallel(fsms, state =>
-    fsms.every(fsm => state.some(pair => pair.fsm === fsm && fsm.hasFinalState(pair.substate)))
-  )
+    /**
+      Test whether the present NFA accepts the supplied string (array of
+      symbols), by keeping track of every state it could be in at once.
+    */
+    accepts: function (input) {
+      return input.reduce(follow, closure(initials)).some(hasFinalState)
+    },
+
+    /**
+      Return an FSM accepting exactly the same strings as the present NFA,
+      using the subset construction. Each state of the new FSM is a set of
+      states of the NFA. Only the reachable sets are constructed, but the
+      result is not reduced.
+    */
+    determinise: function () {
+      return crawl(
+        alphabet,
+        closure(initials),
+        current => current.some(hasFinalState),
+        (current, symbol) => {
+          const next = follow(current, symbol)
+          return next.length === 0 ? OBLIVION_STATE : next
+        }
+      )
+    }
+  }
+}
 
 /**
-  Given the above conditions and instructions, crawl a new unknown FSM,
-  mapping its states, final states and transitions. Return the new FSM.
-  This is a pretty powerful procedure which could potentially go on
-  forever if you supply an evil version of follow().
+  A transducer is an FSM which emits output symbols as well as consuming
+  input symbols. Output can be attached to transitions (as in a Mealy
+  machine), to states (as in a Moore machine), or both. The output for
+  an input string is only meaningful if the transducer accepts it.
 */
-export const crawl = (alphabet, initial, isFinal, follow) => {
-  const lookup = [initial]
-  const finals = []
-  const map = {}
+export const transducer = (alphabet, outputAlphabet, states, finals, map, stateOutputs = {}) => {
+  /*
+    `alphabet`, `states` and `finals` are as for an FSM.
+    `outputAlphabet` is an array of symbols which the transducer can emit.
+    `map[state][symbol]` is an object `{ next, output }`, where `output` is
+      an array of output symbols emitted by taking this transition.
+    `stateOutputs[state]` is an array of output symbols emitted whenever
+      `state` is entered, including when the transducer starts.
+  */
 
-  let state = 0
-  while (state < lookup.length) {
-    const blah = lookup[state]
+  // Validation
+  const _alphabet = new Set()
+  alphabet.forEach(symbol => {
+    if (_alphabet.has(propertyKey(symbol))) {
+      throw Error('Duplicate alphabet symbol ' + stringifyValue(symbol))
+    }
+    _alphabet.add(propertyKey(symbol))
+  })
 
-    // add to finals
-    if (isFinal(blah)) {
-      finals.push(String(state))
+  finals.forEach(fynal => {
+    if (!states.includes(fynal)) {
+      throw Error('Final state ' + fynal + ' must be one of ' + states.join(', '))
     }
+  })
 
-    // compute map for this state
-    map[state] = {}
-    alphabet.forEach(symbol => {
-      const next = follow(blah, symbol)
-      if (next === OBLIVION_STATE) {
-        return
+  const checkOutput = (output, where) => {
+    if (!Array.isArray(output)) {
+      throw Error('Output for ' + where + ' must be an array')
+    }
+    output.forEach(symbol => {
+      if (!outputAlphabet.includes(symbol)) {
+        throw Error('Output for ' + where + ' includes ' + stringifyValue(symbol) + ', which is not in the output alphabet')
       }
+    })
+  }
 
-      let state2 = lookup.findIndex(x => JSON.stringify(x) === JSON.stringify(next)) // BAAAD
-
-      if (state2 === -1) {
-        state2 = lookup.length
-        lookup.push(next)
+  Object.keys(map).forEach(state => {
+    Reflect.ownKeys(map[state]).forEach(symbol => {
+      const where = 'state ' + state + ' and symbol ' + stringifyValue(symbol)
+      if (!states.includes(map[state][symbol].next)) {
+        throw Error('Transition for ' + where + ' leads to ' + map[state][symbol].next + ', which is not a state')
       }
-
-      map[state][symbol] = String(state2)
+      checkOutput(map[state][symbol].output, where)
     })
+  })
 
-    state++
-  }
+  Object.keys(stateOutputs).forEach(state => {
+    if (!states.includes(state)) {
+      throw Error('State output for ' + state + ', which is not a state')
+    }
+    checkOutput(stateOutputs[state], 'state ' + state)
+  })
 
-  return fsm(alphabet, Object.keys(lookup), finals, map)
-}
+  const stateOutput = state =>
+    Object.prototype.hasOwnProperty.call(stateOutputs, state) ? stateOutputs[state] : []
 
-/**
-  Take a state in the numbered FSM and return a set containing it, plus
-  (if it's final) the first state from the next FSM, plus (if that's
-  final) the first state from the next but one FSM, plus...
-*/
-export const _connectAll = (fsms, i, substate) => {
-  const result = [{ i, substate }]
-  while (i < fsms.length - 1 && fsms[i].hasFinalState(substate)) {
-    i += 1
-    substate = fsms[i].states[0]
-    result.push({ i, substate })
+  const hasFinalState = function (state) {
+    return finals.includes(state)
   }
-  return result
-}
-
-/**
-  Concatenate arbitrarily many finite state machines together.
-*/
-export const concatenate = fsms => {
-  const alphabet = unifyAlphabets(fsms.map(fsm => fsm.alphabet))
 
-  fsms = [epsilon(alphabet)].concat(fsms)
+  // As for an FSM, a character stands for the charset containing it
+  const resolveSymbol = symbolResolver(alphabet)
 
-  // Use a superset containing states from all FSMs at once.
-  // We start at the start of the first FSM. If this state is final in the
+  // Returns the next state and everything emitted on the way there
+  const follow = function (state, symbol) {
+    const resolved = resolveSymbol(symbol)
+    if (resolved === undefined) {
+      if (!alphabet.includes(ANYTHING_ELSE)) {
+        throw Error('Unrecognised symbol ' + stringifyValue(symbol))
+      }
+      symbol = ANYTHING_ELSE
+    } else {
+      symbol = resolved
+    }
+
+    if (!hasTransition(map, state, symbol)) {
+      return { next: OBLIVION_STATE, output: [] }
+    }
+
+    const next = map[state][symbol].next
+    return { next, output: map[state][symbol].output.concat(stateOutput(next)) }
+  }
+
+  return {
+    alphabet,
+    outputAlphabet,
+    states,
+    finals,
+    map,
+    stateOutputs,
+
+    follow,
+    hasFinalState,
+    stateOutput,
+    _resolveSymbol: resolveSymbol,
+
+    /**
+      Feed the supplied string (array of symbols) to the transducer. If it
+      is accepted, return the array of output symbols emitted along the
+      way. Otherwise, return `null`.
+    */
+    transduce: function (input) {
+      let state = states[0]
+      const output = stateOutput(state).slice()
+      for (const symbol of input) {
+        const step = follow(state, symbol)
+        if (step.next === OBLIVION_STATE) {
+          return null
+        }
+        output.push(...step.output)
+        state = step.next
+      }
+      return hasFinalState(state) ? output : null
+    },
+
+    /**
+      Return an FSM accepting exactly the inputs which this transducer
+      accepts, ignoring output.
+    */
+    inputFsm: function () {
+      const fsmMap = {}
+      Object.keys(map).forEach(state => {
+        fsmMap[state] = {}
+        Reflect.ownKeys(map[state]).forEach(symbol => {
+          fsmMap[state][symbol] = map[state][symbol].next
+        })
+      })
+      return fsm(alphabet, states, finals, fsmMap)
+    },
+
+    /**
+      Return an FSM accepting every output which this transducer can emit
+      for an input it accepts. A transition which emits several symbols
+      becomes a chain of transitions in an NFA, and one which emits nothing
+      becomes an `EPSILON` transition. The NFA is then determinised.
+    */
+    outputFsm: function () {
+      const nfaStates = []
+      const nfaMap = {}
+      const newState = () => {
+        const state = String(nfaStates.length)
+        nfaStates.push(state)
+        nfaMap[state] = {}
+        return state
+      }
+      const addTransition = (from, symbol, to) => {
+        if (!hasTransition(nfaMap, from, symbol)) {
+          nfaMap[from][symbol] = []
+        }
+        nfaMap[from][symbol].push(to)
+      }
+      const chain = (from, output, to) => {
+        if (output.length === 0) {
+          addTransition(from, EPSILON, to)
+          return
+        }
+        output.slice(0, -1).forEach(symbol => {
+          const middle = newState()
+          addTransition(from, symbol, middle)
+          from = middle
+        })
+        addTransition(from, output[output.length - 1], to)
+      }
+
+      // State `i` of the NFA is `states[i]`
+      states.forEach(newState)
+      const initial = newState()
+      chain(initial, stateOutput(states[0]), '0')
+      states.forEach((state, i) => {
+        alphabet.forEach(symbol => {
+          const next = follow(state, symbol)
+          if (next.next !== OBLIVION_STATE) {
+            chain(String(i), next.output, String(states.indexOf(next.next)))
+          }
+        })
+      })
+
+      return reduce(nfa(
+        outputAlphabet,
+        nfaStates,
+        [initial],
+        finals.map(fynal => String(states.indexOf(fynal))),
+        nfaMap
+      ).determinise())
+    }
+  }
+}
+
+/**
+  Return a transducer which accepts the same strings as the supplied FSM, and
+  outputs each of them unchanged. Symbols which are converted to
+  `ANYTHING_ELSE` are output as `ANYTHING_ELSE`.
+*/
+export const identityTransducer = fsm => {
+  const map = {}
+  fsm.states.forEach(state => {
+    map[state] = {}
+    fsm.alphabet.forEach(symbol => {
+      const next = fsm.follow(state, symbol)
+      if (next !== OBLIVION_STATE) {
+        map[state][symbol] = { next, output: [symbol] }
+      }
+    })
+  })
+  return transducer(fsm.alphabet, fsm.alphabet, fsm.states, fsm.finals, map)
+}
+
+/**
+  Chain two transducers together, so that the output of `first` becomes the
+  input of `second`. The resulting transducer accepts an input if `first`
+  accepts it and `second` accepts the resulting output. Its states are pairs
+  of states, one from each transducer, plus a separate initial state, which
+  emits whatever both transducers emit at the start.
+*/
+export const compose = (first, second) => {
+  // Feed an output of `first` into `second`
+  const feed = (state, symbols) => {
+    const output = []
+    for (const symbol of symbols) {
+      // `second` can't accept anything containing a symbol it doesn't know
+      if (second._resolveSymbol(symbol) === undefined && !second.alphabet.includes(ANYTHING_ELSE)) {
+        return OBLIVION_STATE
+      }
+      const step = second.follow(state, symbol)
+      if (step.next === OBLIVION_STATE) {
+        return OBLIVION_STATE
+      }
+      output.push(...step.output)
+      state = step.next
+    }
+    return { next: state, output }
+  }
+
+  const start = feed(second.states[0], first.stateOutput(first.states[0]))
+
+  // The initial state is `null`. Every other state is a pair
+  const follow = (state, symbol) => {
+    const pair = state === null ? [first.states[0], start.next] : state
+    const step1 = first.follow(pair[0], symbol)
+    if (step1.next === OBLIVION_STATE) {
+      return OBLIVION_STATE
+    }
+    const step2 = feed(pair[1], step1.output)
+    if (step2 === OBLIVION_STATE) {
+      return OBLIVION_STATE
+    }
+    return { next: [step1.next, step2.next], output: step2.output }
+  }
+
+  const isFinal = state => {
+    const pair = state === null ? [first.states[0], start.next] : state
+    return first.hasFinalState(pair[0]) && second.hasFinalState(pair[1])
+  }
+
+  const key = canonicalKey()
+  const lookup = [null]
+  const index = new Map([[key(null), 0]])
+  const finals = []
+  const map = {}
+
+  if (start !== OBLIVION_STATE) {
+    for (let i = 0; i < lookup.length; i++) {
+      if (isFinal(lookup[i])) {
+        finals.push(String(i))
+      }
+
+      map[i] = {}
+      first.alphabet.forEach(symbol => {
+        const step = follow(lookup[i], symbol)
+        if (step === OBLIVION_STATE) {
+          return
+        }
+        const nextKey = key(step.next)
+        if (!index.has(nextKey)) {
+          index.set(nextKey, lookup.length)
+          lookup.push(step.next)
+        }
+        map[i][symbol] = { next: String(index.get(nextKey)), output: step.output }
+      })
+    }
+  }
+
+  return transducer(
+    first.alphabet,
+    second.outputAlphabet,
+    Object.keys(lookup),
+    finals,
+    map,
+    start === OBLIVION_STATE
+      ? {}
+      : { 0: second.stateOutput(second.states[0]).concat(start.output) }
+  )
+}
+
+const MAX_CODE_POINT = 0x10FFFF
+
+const allCharsets = new WeakSet()
+
+// Each charset's key is a Symbol, interned by its string form, so that equal
+// charsets are the same key and no string symbol can be mistaken for one
+const charsetKeys = new Map()
+
+/**
+  Test whether `value` was made by `charset` or one of its relatives.
+*/
+export const isCharset = value => allCharsets.has(value)
+
+// Sort ranges of code points and merge any which overlap or touch
+const normaliseRanges = ranges => {
+  const merged = []
+  ranges.slice().sort((x, y) => x[0] - y[0]).forEach(range => {
+    const last = merged[merged.length - 1]
+    if (last !== undefined && range[0] <= last[1] + 1) {
+      last[1] = Math.max(last[1], range[1])
+    } else {
+      merged.push([range[0], range[1]])
+    }
+  })
+  return merged
+}
+
+/**
+  A charset is a set of characters, stored as a sorted array of inclusive
+  ranges of code points. Charsets can be used as alphabet symbols, in which
+  case a transition labelled with a charset is followed by any character in
+  it. Charsets form a Boolean algebra: they can be combined using `union`,
+  `intersection`, `difference` and `complement`, and it's always possible to
+  tell whether the result is empty. Their string form is canonical. Used as
+  a key in a `map`, a charset becomes a Symbol which is shared by every equal
+  charset, and which can't collide with any string.
+*/
+const fromRanges = ranges => {
+  ranges = normaliseRanges(ranges)
+
+  const hasCodePoint = codePoint => {
+    // Binary search
+    let lo = 0
+    let hi = ranges.length
+    while (lo < hi) {
+      const mid = Math.floor((lo + hi) / 2)
+      if (ranges[mid][1] < codePoint) {
+        lo = mid + 1
+      } else {
+        hi = mid
+      }
+    }
+    return lo < ranges.length && ranges[lo][0] <= codePoint
+  }
+
+  const set = {
+    ranges,
+
+    has: function (char) {
+      return typeof char === 'string' &&
+        Array.from(char).length === 1 &&
+        hasCodePoint(char.codePointAt(0))
+    },
+
+    _hasCodePoint: hasCodePoint,
+
+    union: function (other) {
+      return fromRanges(ranges.concat(other.ranges))
+    },
+
+    complement: function () {
+      const gaps = []
+      let next = 0
+      ranges.forEach(range => {
+        if (next < range[0]) {
+          gaps.push([next, range[0] - 1])
+        }
+        next = range[1] + 1
+      })
+      if (next <= MAX_CODE_POINT) {
+        gaps.push([next, MAX_CODE_POINT])
+      }
+      return fromRanges(gaps)
+    },
+
+    intersection: function (other) {
+      return this.complement().union(other.complement()).complement()
+    },
+
+    difference: function (other) {
+      return this.intersection(other.complement())
+    },
+
+    isEmpty: function () {
+      return ranges.length === 0
+    },
+
+    isSubsetOf: function (other) {
+      return this.difference(other).isEmpty()
+    },
+
+    toString: function () {
+      const print = codePoint =>
+        escapeSymbol(String.fromCodePoint(codePoint), SPECIAL_CLASS_CHARS)
+      return '[' + ranges.map(range =>
+        range[0] === range[1]
+          ? print(range[0])
+          : print(range[0]) + '-' + print(range[1])
+      ).join('') + ']'
+    },
+
+    [Symbol.toPrimitive]: function () {
+      const string = this.toString()
+      if (!charsetKeys.has(string)) {
+        charsetKeys.set(string, Symbol(string))
+      }
+      return charsetKeys.get(string)
+    }
+  }
+
+  allCharsets.add(set)
+  return set
+}
+
+/**
+  Make a charset. Each item is either a single character, or an array of two
+  characters denoting an inclusive range, e.g. `charset([['a', 'z'], '_'])`.
+*/
+export const charset = items => fromRanges(items.map(item => {
+  const range = typeof item === 'string' ? [item, item] : item
+  if (
+    !Array.isArray(range) ||
+    range.length !== 2 ||
+    !range.every(char => typeof char === 'string' && Array.from(char).length === 1)
+  ) {
+    throw Error('Invalid charset item ' + stringifyValue(item))
+  }
+  if (range[0].codePointAt(0) > range[1].codePointAt(0)) {
+    throw Error('Charset range ' + range[0] + '-' + range[1] + ' is out of order')
+  }
+  return range.map(char => char.codePointAt(0))
+}))
+
+/**
+  Make a charset containing every character for which `predicate` returns
+  true. This has to check every code point, so it takes a while, but the
+  result can be combined with other charsets freely.
+*/
+export const charsetWhere = predicate => {
+  const ranges = []
+  for (let codePoint = 0; codePoint <= MAX_CODE_POINT; codePoint++) {
+    if (predicate(String.fromCodePoint(codePoint))) {
+      const last = ranges[ranges.length - 1]
+      if (last !== undefined && last[1] === codePoint - 1) {
+        last[1] = codePoint
+      } else {
+        ranges.push([codePoint, codePoint])
+      }
+    }
+  }
+  return fromRanges(ranges)
+}
+
+// Treat a single character as a charset, or return `null` for other symbols
+const charsetOf = symbol =>
+  typeof symbol === 'string' && Array.from(symbol).length === 1
+    ? charset([symbol])
+    : null
+
+/**
+  Split some charsets into the fewest possible non-empty pieces, such that
+  each piece is either contained in or disjoint from each of the charsets.
+*/
+const partition = sets => {
+  const cuts = new Set()
+  sets.forEach(set => {
+    set.ranges.forEach(range => {
+      cuts.add(range[0])
+      cuts.add(range[1] + 1)
+    })
+  })
+  const points = Array.from(cuts).sort((x, y) => x - y)
+
+  // Between two consecutive cuts, every code point is in the same charsets
+  const pieces = new Map()
+  points.slice(0, -1).forEach((point, k) => {
+    const signature = sets
+      .map((set, i) => set._hasCodePoint(point) ? String(i) : '')
+      .filter(i => i !== '')
+      .join(',')
+    if (signature !== '') {
+      if (!pieces.has(signature)) {
+        pieces.set(signature, [])
+      }
+      pieces.get(signature).push([point, points[k + 1] - 1])
+    }
+  })
+
+  return Array.from(pieces.values()).map(fromRanges)
+}
+
+/**
+  Make sure that no character belongs to more than one symbol in `alphabet`,
+  by splitting up any charsets which overlap one another, or which contain
+  characters which are also symbols in their own right. The pieces replace
+  the charsets and characters which they came from. If nothing overlaps,
+  `alphabet` is returned unchanged.
+*/
+const refine = alphabet => {
+  const sets = alphabet.filter(isCharset)
+  if (sets.length === 0) {
+    return alphabet
+  }
+
+  const chars = alphabet.filter(symbol => sets.some(set => set.has(symbol)))
+  const pieces = partition(sets.concat(chars.map(charsetOf)))
+
+  const unchanged = chars.length === 0 &&
+    pieces.length === sets.length &&
+    pieces.every(piece => sets.some(set => propertyKey(set) === propertyKey(piece)))
+  if (unchanged) {
+    return alphabet
+  }
+
+  return alphabet
+    .filter(symbol => !isCharset(symbol) && !chars.includes(symbol))
+    .concat(pieces)
+}
+
+/**
+  Return a `follow` function for the FSM which, instead of throwing an
+  exception, goes to the oblivion state when given a symbol which the FSM
+  doesn't recognise and can't treat as `ANYTHING_ELSE`. When FSMs with
+  different alphabets are combined, this is how each of them handles the
+  symbols from the others' alphabets. Likewise, when searching through an
+  input, such symbols can't be part of a match.
+*/
+const followOrOblivion = fsm => (state, symbol) =>
+  fsm._resolveSymbol(symbol) !== undefined || fsm.alphabet.includes(ANYTHING_ELSE)
+    ? fsm.follow(state, symbol)
+    : OBLIVION_STATE
+
+/**
+  Return the alphabet used when combining FSMs with the given alphabets. This
+  contains every symbol from every alphabet, except that charsets are split
+  up as necessary so that they don't overlap.
+*/
+export const unifyAlphabets = alphabets => {
+  const unified = new Set()
+  alphabets.forEach(alphabet => {
+    alphabet.forEach(symbol => {
+      unified.add(symbol)
+    })
+  })
+  return refine(Array.from(unified))
+}
+
+/**
+  Run several FSMs side by side. `isFinal` is passed an array of Booleans,
+  one for each FSM, indicating which of them are currently in a final state.
+*/
+const parallel = (fsms, isFinal) => {
+  const { alphabet, initial, accepts, follow, key } = product(fsms, isFinal)
+  return crawl(alphabet, initial, state => isFinal(accepts(state)), follow, key)
+}
+
+/**
+  Return what is needed to crawl the product of several FSMs. `accepts`
+  turns a state of the product into the array of Booleans described above.
+*/
+const product = (fsms, isFinal) => {
+  const alphabet = unifyAlphabets(fsms.map(fsm => fsm.alphabet))
+
+  const initial = fsms.map((fsm, i) => ({ i, substate: fsm.states[0] }))
+
+  const accepts = state => fsms.map((fsm, i) =>
+    state.some(pair => pair.i === i && fsm.hasFinalState(pair.substate))
+  )
+
+  const follows = fsms.map(followOrOblivion)
+
+  // dedicated function accepts a "superset" and returns the next "superset"
+  // obtained by following this transition in the new FSM
+  const follow = (state, symbol) => {
+    const next = state
+      .map(pair => ({ i: pair.i, substate: follows[pair.i](pair.substate, symbol) }))
+      .filter(pair => pair.substate !== OBLIVION_STATE)
+
+    // Once every FSM has reached oblivion, nothing can change any more. If
+    // that combination is final (e.g. for a complement), we must keep it
+    return next.length === 0 && !isFinal(accepts(next)) ? OBLIVION_STATE : next
+  }
+
+  // Pairs are always listed in order of FSM
+  const substateKey = canonicalKey()
+  const key = state => state.map(pair => String(pair.i) + ' ' + substateKey(pair.substate)).join(',')
+
+  return { alphabet, initial, accepts, follow, key }
+}
+
+/**
+  Alternation. Return a finite state machine which accepts any
+  sequence of symbols that is accepted by any input FSM. If
+  `fsms` is empty, the output FSM is `null`.
+*/
+export const union = fsms =>
+  parallel(fsms, accepts => accepts.some(accept => accept))
+
+/**
+  Intersection.
+*/
+export const intersection = fsms =>
+  parallel(fsms, accepts => accepts.every(accept => accept))
+
+/**
+  Complement. Return a finite state machine which accepts any sequence of
+  symbols from the input FSM's alphabet which the input FSM does not accept.
+  If `ANYTHING_ELSE` is in the alphabet, unrecognised symbols are accepted too.
+*/
+export const everythingBut = fsm =>
+  parallel([fsm], accepts => !accepts[0])
+
+/**
+  Difference. Return a finite state machine which accepts any sequence of
+  symbols which is accepted by the first input FSM but by none of the others.
+*/
+export const difference = fsms =>
+  parallel(fsms, accepts => accepts[0] && accepts.slice(1).every(accept => !accept))
+
+/**
+  Symmetric difference. Return a finite state machine which accepts any
+  sequence of symbols which is accepted by an odd number of the input FSMs.
+  For two FSMs, that means it is accepted by one or the other but not both.
+*/
+export const symmetricDifference = fsms =>
+  parallel(fsms, accepts => accepts.filter(accept => accept).length % 2 === 1)
+
+/**
+  Return a function which turns states into keys suitable for a `Map`, such
+  that two states have the same key if and only if they are the same. Strings,
+  numbers and so on are compared by value. Arrays and plain objects are
+  compared by their contents, recursively. Anything else, including
+  `Symbol`s, functions and FSM objects, is compared by identity.
+*/
+const canonicalKey = () => {
+  const identities = new Map()
+
+  const key = value => {
+    if (typeof value === 'string') {
+      return JSON.stringify(value)
+    }
+
+    if (Array.isArray(value)) {
+      return '[' + value.map(key).join(',') + ']'
+    }
+
+    if (typeof value === 'object' && value !== null) {
+      const prototype = Object.getPrototypeOf(value)
+      if (prototype === Object.prototype || prototype === null) {
+        return '{' + Object.keys(value).sort().map(name =>
+          JSON.stringify(name) + ':' + key(value[name])
+        ).join(',') + '}'
+      }
+    }
+
+    if (typeof value === 'object' || typeof value === 'function' || typeof value === 'symbol') {
+      if (!identities.has(value)) {
+        identities.set(value, identities.size)
+      }
+      return '@' + String(identities.get(value))
+    }
+
+    return String(value)
+  }
+
+  return key
+}
+
+/**
+  Given the above conditions and instructions, crawl a new unknown FSM,
+  mapping its states, final states and transitions. Return the new FSM.
+  This is a pretty powerful procedure which could potentially go on
+  forever if you supply an evil version of follow().
+  States are identified using `key(state)`, which should return the same
+  primitive value for two states if and only if they are the same state.
+  By default, states are compared as described in `canonicalKey`.
+*/
+export const crawl = (alphabet, initial, isFinal, follow, key) =>
+  explore(alphabet, initial, isFinal, follow, key).fsm
+
+/**
+  Like `crawl`, but also return `lookup`, which lists the original states
+  which became the states '0', '1', '2' and so on of the new FSM.
+*/
+const explore = (alphabet, initial, isFinal, follow, key = canonicalKey()) => {
+  alphabet = refine(alphabet)
+
+  const lookup = [initial]
+  const index = new Map([[key(initial), 0]])
+  const finals = []
+  const map = {}
+
+  let state = 0
+  while (state < lookup.length) {
+    const blah = lookup[state]
+
+    // add to finals
+    if (isFinal(blah)) {
+      finals.push(String(state))
+    }
+
+    // compute map for this state
+    map[state] = {}
+    alphabet.forEach(symbol => {
+      const next = follow(blah, symbol)
+      if (next === OBLIVION_STATE) {
+        return
+      }
+
+      const nextKey = key(next)
+      let state2 = index.get(nextKey)
+
+      if (state2 === undefined) {
+        state2 = lookup.length
+        lookup.push(next)
+        index.set(nextKey, state2)
+      }
+
+      map[state][symbol] = String(state2)
+    })
+
+    state++
+  }
+
+  return {
+    fsm: fsm(alphabet, Object.keys(lookup), finals, map),
+    lookup
+  }
+}
+
+/**
+  Take a state in the numbered FSM and return a set containing it, plus
+  (if it's final) the first state from the next FSM, plus (if that's
+  final) the first state from the next but one FSM, plus...
+*/
+export const _connectAll = (fsms, i, substate) => {
+  const result = [{ i, substate }]
+  while (i < fsms.length - 1 && fsms[i].hasFinalState(substate)) {
+    i += 1
+    substate = fsms[i].states[0]
+    result.push({ i, substate })
+  }
+  return result
+}
+
+/**
+  Concatenate arbitrarily many finite state machines together.
+*/
+export const concatenate = fsms => {
+  const alphabet = unifyAlphabets(fsms.map(fsm => fsm.alphabet))
+
+  fsms = [epsilon(alphabet)].concat(fsms)
+
+  // Use a superset containing states from all FSMs at once.
+  // We start at the start of the first FSM. If this state is final in the
   // first FSM, then we are also at the start of the second FSM. And so on.
   const initial = _connectAll(fsms, 0, fsms[0].states[0])
 
-  // If you're in a final state of the final FSM, it's final
-  const isFinal = state => state.some(pair =>
-    pair.i === fsms.length - 1 &&
-    fsms[pair.i].hasFinalState(pair.substate)
+  // If you're in a final state of the final FSM, it's final
+  const isFinal = state => state.some(pair =>
+    pair.i === fsms.length - 1 &&
+    fsms[pair.i].hasFinalState(pair.substate)
+  )
+
+  const follows = fsms.map(followOrOblivion)
+
+  /**
+    Follow the collection of states through all FSMs at once, jumping to the
+    next FSM if we reach the end of the current one
+    TODO: improve all follow() implementations to allow for dead metastates?
+  */
+  const follow = (current, symbol) => {
+    let next = []
+    current.forEach(pair => {
+      const i = pair.i
+      const substate = pair.substate
+      _connectAll(fsms, i, follows[i](substate, symbol)).forEach(nextsubstate => {
+        if (!next.some(x =>
+          x.i === nextsubstate.i &&
+          x.substate === nextsubstate.substate
+        )) {
+          next.push(nextsubstate)
+        }
+      })
+    })
+
+    next = next.filter(pair => pair.substate !== OBLIVION_STATE)
+
+    return next.length === 0 ? OBLIVION_STATE : next
+  }
+
+  // The same pairs can be discovered in different orders
+  const substateKey = canonicalKey()
+  const key = current => current.map(pair => String(pair.i) + ' ' + substateKey(pair.substate)).sort().join(',')
+
+  return crawl(alphabet, initial, isFinal, follow, key)
+}
+
+/**
+  Shuffle product. Return an FSM accepting every interleaving of strings
+  accepted by each of the input FSMs: the FSMs run side by side, and each
+  symbol is consumed by any one of them. Each state of the new FSM is a set of
+  tuples of substates, one substate from each FSM. Tuples from which some FSM
+  can no longer reach a final state are discarded as we go.
+  With `synchronised`, symbols are instead consumed by every FSM which has
+  them in its alphabet at once, as in CSP parallel composition, while the
+  other FSMs stay where they are. This is deterministic, so each set only
+  ever contains one tuple.
+*/
+export const shuffle = (fsms, options = {}) => {
+  const synchronised = options.synchronised === true
+  const alphabet = unifyAlphabets(fsms.map(fsm => fsm.alphabet))
+  const follows = fsms.map(followOrOblivion)
+
+  const isLive = tuple => tuple.every((substate, i) => fsms[i]._hasLiveState(substate))
+
+  // Return every tuple which the FSMs can reach by consuming `symbol`
+  const moves = (tuple, symbol) => synchronised
+    ? [tuple.map((substate, i) =>
+        fsms[i]._resolveSymbol(symbol) === undefined ? substate : follows[i](substate, symbol)
+      )]
+    : tuple.map((substate, i) => tuple.map((other, j) =>
+      j === i ? follows[i](substate, symbol) : other
+    ))
+
+  const initial = [fsms.map(fsm => fsm.states[0])].filter(isLive)
+
+  const isFinal = state => state.some(tuple =>
+    tuple.every((substate, i) => fsms[i].hasFinalState(substate))
+  )
+
+  const tupleKey = canonicalKey()
+
+  const follow = (state, symbol) => {
+    const next = []
+    const seen = new Set()
+    state.forEach(tuple => {
+      moves(tuple, symbol).filter(isLive).forEach(nextTuple => {
+        const nextKey = tupleKey(nextTuple)
+        if (!seen.has(nextKey)) {
+          seen.add(nextKey)
+          next.push(nextTuple)
+        }
+      })
+    })
+    return next.length === 0 ? OBLIVION_STATE : next
+  }
+
+  // The same tuples can be discovered in different orders
+  const key = state => state.map(tupleKey).sort().join(',')
+
+  return crawl(alphabet, initial, isFinal, follow, key)
+}
+
+/**
+  Given an FSM and a multiplier, return the multiplied FSM.
+*/
+export const multiply = (x, multiplier) =>
+  multiplier === 0
+    ? epsilon(x.alphabet)
+    : concatenate(Array(multiplier).fill(x))
+
+// TODO: alphabet should be an object with keys, easier to iterate
+// over.
+
+/**
+  If the present FSM accepts X, returns an FSM accepting X* (i.e. 0 or
+  more Xes). This is NOT as simple as naively connecting the final states
+  back to the initial state: see (b*ab)* for example.
+*/
+export const star = fsm => {
+  const alphabet = fsm.alphabet
+
+  const initial = [fsm.states[0]]
+
+  const follow = (state, symbol) => {
+    let next = []
+    state.forEach(substate => {
+      const nextsubstate = fsm.follow(substate, symbol)
+      if (!next.includes(nextsubstate)) {
+        next.push(nextsubstate)
+      }
+
+      // If one of our substates is final, then we can also consider
+      // transitions from the initial state of the original FSM.
+      if (fsm.hasFinalState(substate)) {
+        const nextsubstate2 = fsm.follow(initial, symbol)
+        if (!next.includes(nextsubstate2)) {
+          next.push(nextsubstate2)
+        }
+      }
+    })
+
+    next = next.filter(substate => substate !== OBLIVION_STATE)
+
+    if (next.length === 0) {
+      return OBLIVION_STATE
+    }
+
+    return next
+  }
+
+  const isFinal = state => state.some(fsm.hasFinalState)
+
+  // The same substates can be discovered in different orders
+  const substateKey = canonicalKey()
+  const key = state => state.map(substateKey).sort().join(',')
+
+  return union([epsilon(alphabet), crawl(alphabet, initial, isFinal, follow, key)])
+}
+
+/**
+  Return an FSM accepting any concatenation of at least `min` and at most
+  `max` strings accepted by the present FSM. `max` defaults to `min`, and may
+  be `Infinity`. This works like `concatenate`, but every copy of the FSM is
+  the same, so instead of tracking which FSM each substate belongs to, we
+  track how many copies have been completed. When `max` is `Infinity`, there
+  is no need to count beyond `min`, which keeps the result finite.
+*/
+export const repeat = (fsm, min, max = min) => {
+  if (!Number.isInteger(min) || min < 0) {
+    throw Error('Minimum repetitions must be a non-negative integer, not ' + String(min))
+  }
+  if (max !== Infinity && !(Number.isInteger(max) && max >= min)) {
+    throw Error('Maximum repetitions must be Infinity or an integer of at least ' + String(min) + ', not ' + String(max))
+  }
+
+  const alphabet = fsm.alphabet
+
+  if (max === 0) {
+    return epsilon(alphabet)
+  }
+
+  // The empty string is dealt with at the end, so at least one copy is needed
+  const least = Math.max(min, 1)
+
+  const nextCount = count =>
+    max === Infinity ? Math.min(count + 1, least - 1) : count + 1
+
+  // Take a substate in a copy of the FSM and return a set containing it,
+  // plus (if it's final, and we may carry on) the start of the next copy,
+  // and so on
+  const connect = (count, substate) => {
+    const result = [{ count, substate }]
+    while (fsm.hasFinalState(substate) && count + 1 < max) {
+      count = nextCount(count)
+      substate = fsm.states[0]
+      if (result.some(pair => pair.count === count && pair.substate === substate)) {
+        break
+      }
+      result.push({ count, substate })
+    }
+    return result
+  }
+
+  const initial = connect(0, fsm.states[0])
+
+  const isFinal = state => state.some(pair =>
+    pair.count + 1 >= least && fsm.hasFinalState(pair.substate)
+  )
+
+  const follow = (current, symbol) => {
+    const next = []
+    current.forEach(pair => {
+      // Substates from which no final state can be reached are no use
+      const nextsubstate = fsm.follow(pair.substate, symbol)
+      if (!fsm._hasLiveState(nextsubstate)) {
+        return
+      }
+      connect(pair.count, nextsubstate).forEach(nextpair => {
+        if (!next.some(x =>
+          x.count === nextpair.count &&
+          x.substate === nextpair.substate
+        )) {
+          next.push(nextpair)
+        }
+      })
+    })
+
+    return next.length === 0 ? OBLIVION_STATE : next
+  }
+
+  // The same pairs can be discovered in different orders
+  const substateKey = canonicalKey()
+  const key = current => current.map(pair => String(pair.count) + ' ' + substateKey(pair.substate)).sort().join(',')
+
+  const repeated = crawl(alphabet, initial, isFinal, follow, key)
+  return min === 0 ? union([epsilon(alphabet), repeated]) : repeated
+}
+
+/**
+  One or more. Return an FSM accepting X+, if the present FSM accepts X.
+*/
+export const plus = fsm =>
+  repeat(fsm, 1, Infinity)
+
+/**
+  Zero or one. Return an FSM accepting X?, if the present FSM accepts X.
+*/
+export const optional = fsm =>
+  repeat(fsm, 0, 1)
+
+/**
+  Return an FSM accepting exactly the same strings as the present FSM, but
+  with the smallest possible number of states. Equivalent states are found
+  using Hopcroft's partition refinement algorithm, in O(n log n) time for an
+  FSM with n states and a fixed alphabet. The oblivion state takes part in
+  this too, so any state from which no final state can be reached is merged
+  into it and disappears. Unreachable states are discarded when the result
+  is crawled.
+*/
+export const reduce = fsm => {
+  const alphabet = fsm.alphabet
+  const states = fsm.states.concat([OBLIVION_STATE])
+
+  // For each symbol, map each state to the states which lead to it
+  const inverse = new Map()
+  alphabet.forEach(symbol => {
+    const preimages = new Map(states.map(state => [state, []]))
+    states.forEach(state => {
+      preimages.get(fsm.follow(state, symbol)).push(state)
+    })
+    inverse.set(symbol, preimages)
+  })
+
+  // Start by distinguishing final states from non-final states. The oblivion
+  // state is non-final, so there is always at least one of those
+  const blocks = [
+    states.filter(fsm.hasFinalState),
+    states.filter(state => !fsm.hasFinalState(state))
+  ].filter(block => block.length > 0)
+
+  // Each state knows its block and its position in that block, so that a
+  // state can be moved to another block in constant time
+  const blockOf = new Map()
+  const positionOf = new Map()
+  blocks.forEach((block, i) => {
+    block.forEach((state, position) => {
+      blockOf.set(state, i)
+      positionOf.set(state, position)
+    })
+  })
+
+  const pending = new Set(blocks.keys())
+  while (pending.size > 0) {
+    const splitter = pending.values().next().value
+    pending.delete(splitter)
+
+    // The splitter itself may be split below
+    const members = blocks[splitter].slice()
+    alphabet.forEach(symbol => {
+      // Group the preimage of the splitter by block. Only these states are
+      // ever visited, which is what makes the whole thing O(n log n)
+      const marked = new Map()
+      members.forEach(state => {
+        inverse.get(symbol).get(state).forEach(prev => {
+          const i = blockOf.get(prev)
+          if (!marked.has(i)) {
+            marked.set(i, [])
+          }
+          marked.get(i).push(prev)
+        })
+      })
+
+      marked.forEach((inside, i) => {
+        const block = blocks[i]
+        if (inside.length === block.length) {
+          return
+        }
+
+        // Move the marked states out of block `i` and into a new block `j`,
+        // filling each gap with the last state of block `i`
+        const j = blocks.length
+        inside.forEach(state => {
+          const last = block.pop()
+          if (last !== state) {
+            const position = positionOf.get(state)
+            block[position] = last
+            positionOf.set(last, position)
+          }
+          blockOf.set(state, j)
+        })
+        inside.forEach((state, position) => {
+          positionOf.set(state, position)
+        })
+        blocks.push(inside)
+
+        if (pending.has(i)) {
+          pending.add(j)
+        } else {
+          pending.add(block.length <= inside.length ? i : j)
+        }
+      })
+    })
+  }
+
+  const dead = blockOf.get(OBLIVION_STATE)
+
+  return crawl(
+    alphabet,
+    blockOf.get(fsm.states[0]),
+    block => fsm.hasFinalState(blocks[block][0]),
+    (block, symbol) => {
+      const next = blockOf.get(fsm.follow(blocks[block][0], symbol))
+      return next === dead ? OBLIVION_STATE : next
+    }
+  )
+}
+
+/**
+  Return an FSM which accepts the reversal of every string accepted by the
+  present FSM, and nothing else. Each state of the new FSM is a set of states
+  of the original FSM: we start from the set of final states and walk the
+  transitions backwards. A set is final if it contains the original initial
+  state.
+*/
+export const reversed = fsm => {
+  const alphabet = fsm.alphabet
+  const reverseMap = fsm._getReverseMap()
+
+  // Sets of states are always listed in the order of the original FSM's
+  // states, so that equal sets are recognised as such
+  const initial = fsm.states.filter(fsm.hasFinalState)
+
+  const follow = (current, symbol) => {
+    const prevs = new Set()
+    current.forEach(state => {
+      ((reverseMap.get(state) || new Map()).get(symbol) || []).forEach(prev => {
+        prevs.add(prev)
+      })
+    })
+
+    const next = fsm.states.filter(state => prevs.has(state))
+
+    return next.length === 0 ? OBLIVION_STATE : next
+  }
+
+  const isFinal = current => current.includes(fsm.states[0])
+
+  return crawl(alphabet, initial, isFinal, follow)
+}
+
+/**
+  Homomorphic image. `fn` maps each symbol in the FSM's alphabet to a new
+  symbol, or to an array of new symbols (possibly empty). Return an FSM
+  accepting the results of applying `fn` to every symbol of every string
+  which the present FSM accepts. `fn` is called once for every symbol in the
+  alphabet, including `ANYTHING_ELSE`, which must map to itself. In that
+  case every original symbol is kept in the new alphabet too, so that
+  `ANYTHING_ELSE` still stands for the same symbols as before. Likewise, an
+  image symbol which was previously covered by `ANYTHING_ELSE` is added to
+  the FSM's alphabet first, and maps to itself. Since several
+  symbols may map to the same thing, the result is found by treating the FSM
+  as a transducer and taking its output, which means determinising.
+*/
+export const mapSymbols = (fsm, fn) => {
+  const images = new Map(fsm.alphabet.map(symbol => {
+    const result = fn(symbol)
+    return [symbol, Array.isArray(result) ? result : [result]]
+  }))
+
+  const outputAlphabet = []
+  const addSymbol = symbol => {
+    if (!outputAlphabet.includes(symbol)) {
+      outputAlphabet.push(symbol)
+    }
+  }
+
+  let machine = fsm
+  if (images.has(ANYTHING_ELSE)) {
+    const image = images.get(ANYTHING_ELSE)
+    if (image.length !== 1 || image[0] !== ANYTHING_ELSE) {
+      const printed = image.length === 0 ? 'nothing' : image.map(stringifyValue).join(', ')
+      throw Error('Cannot map ANYTHING_ELSE to ' + printed + ', since it must keep its meaning')
+    }
+
+    // An image symbol which `ANYTHING_ELSE` used to cover must still follow
+    // its transitions, so it joins the alphabet before mapping
+    const covered = []
+    images.forEach(image => {
+      image
+        .filter(symbol => fsm._resolveSymbol(symbol) === undefined)
+        .forEach(symbol => covered.push(symbol))
+    })
+    machine = extendAlphabet(fsm, covered)
+    machine.alphabet
+      .filter(symbol => !images.has(symbol))
+      .forEach(symbol => images.set(symbol, [symbol]))
+    machine.alphabet.forEach(addSymbol)
+  }
+
+  const map = {}
+  machine.states.forEach(state => {
+    map[state] = {}
+    machine.alphabet.forEach(symbol => {
+      const next = machine.follow(state, symbol)
+      if (next === OBLIVION_STATE) {
+        return
+      }
+      const output = images.get(symbol)
+      output.forEach(addSymbol)
+      map[state][symbol] = { next, output }
+    })
+  })
+
+  return transducer(machine.alphabet, outputAlphabet, machine.states, machine.finals, map).outputFsm()
+}
+
+/**
+  Inverse homomorphic image. `fn` maps each symbol in `alphabet` to a symbol,
+  or an array of symbols, which the present FSM understands. Return an FSM
+  over `alphabet` accepting every string whose image under `fn` is accepted
+  by the present FSM. `alphabet` defaults to the FSM's own alphabet. As
+  usual, symbols in the image which the FSM doesn't recognise are treated as
+  `ANYTHING_ELSE` if possible.
+*/
+export const inverseMap = (fsm, fn, alphabet = fsm.alphabet) => {
+  const follow = followOrOblivion(fsm)
+
+  return crawl(alphabet, fsm.states[0], fsm.hasFinalState, (state, symbol) => {
+    const result = fn(symbol)
+    return (Array.isArray(result) ? result : [result]).reduce(follow, state)
+  })
+}
+
+/**
+  Return an FSM over `alphabet` accepting only those strings accepted by the
+  present FSM which consist entirely of symbols from `alphabet`. Symbols in
+  `alphabet` which the FSM doesn't recognise are treated as `ANYTHING_ELSE`
+  if possible, as usual. `alphabet` may only contain `ANYTHING_ELSE` if it
+  contains every other symbol of the FSM's alphabet, since otherwise
+  `ANYTHING_ELSE` would take on a different meaning.
+*/
+export const restrict = (fsm, alphabet) => {
+  if (alphabet.includes(ANYTHING_ELSE)) {
+    const dropped = fsm.alphabet.find(symbol => !alphabet.includes(symbol))
+    if (dropped !== undefined) {
+      throw Error('Cannot remove ' + stringifyValue(dropped) + ' from an alphabet containing ANYTHING_ELSE')
+    }
+  }
+
+  return crawl(alphabet, fsm.states[0], fsm.hasFinalState, followOrOblivion(fsm))
+}
+
+/**
+  Return an FSM accepting exactly the same strings as the present FSM, but
+  whose alphabet also includes the symbols in `alphabet`. If the FSM has
+  `ANYTHING_ELSE` in its alphabet, then the new symbols follow those
+  transitions, so the FSM's behaviour doesn't change at all.
+*/
+export const extendAlphabet = (fsm, alphabet) =>
+  crawl(
+    unifyAlphabets([fsm.alphabet, alphabet]),
+    fsm.states[0],
+    fsm.hasFinalState,
+    followOrOblivion(fsm)
+  )
+
+/**
+  Find the shortest string (list of symbols) which this FSM accepts, using a
+  breadth-first search which never strays from the live states. Ties are
+  broken lexically, so this is the first string `strings()` would return.
+  Return `null` if the FSM accepts nothing at all.
+*/
+const shortestString = fsm => {
+  if (!fsm._hasLiveState(fsm.states[0])) {
+    return null
+  }
+
+  const queue = [{ cstring: [], cstate: fsm.states[0] }]
+  const seen = new Set([fsm.states[0]])
+
+  // The initial state is live, so a final state must turn up eventually
+  let i = 0
+  while (true) {
+    const { cstring, cstate } = queue[i]
+    if (fsm.hasFinalState(cstate)) {
+      return cstring
+    }
+
+    fsm.alphabet.forEach(symbol => {
+      const nstate = fsm.follow(cstate, symbol)
+      if (fsm._hasLiveState(nstate) && !seen.has(nstate)) {
+        seen.add(nstate)
+        queue.push({ cstring: cstring.concat([symbol]), cstate: nstate })
+      }
+    })
+
+    i++
+  }
+}
+
+/**
+  The decision procedures below all work the same way: build an FSM which
+  accepts exactly the counterexamples, then search it. The result is an object
+  `{ result, witness }`, where `witness` is the shortest counterexample, or
+  `null` if `result` is `true`.
+*/
+const decide = counterexamples => {
+  const witness = shortestString(counterexamples)
+  return { result: witness === null, witness }
+}
+
+/**
+  Test whether the FSM accepts no strings at all. If it does accept some, the
+  witness is the shortest one.
+*/
+export const isEmpty = fsm =>
+  decide(fsm)
+
+/**
+  Test whether the FSM accepts every string over its alphabet. If not, the
+  witness is the shortest string it rejects.
+*/
+export const isUniversal = fsm =>
+  decide(everythingBut(fsm))
+
+/**
+  Test whether every string accepted by `a` is also accepted by `b`. If not,
+  the witness is the shortest string accepted by `a` but not `b`.
+*/
+export const isSubset = (a, b) =>
+  decide(difference([a, b]))
+
+/**
+  Test whether no string is accepted by both `a` and `b`. If not, the witness
+  is the shortest string accepted by both.
+*/
+export const isDisjoint = (a, b) =>
+  decide(intersection([a, b]))
+
+/**
+  Test whether `a` and `b` accept exactly the same strings. If not, the
+  witness is the shortest string accepted by one but not the other.
+*/
+export const equivalent = (a, b) =>
+  decide(symmetricDifference([a, b]))
+
+/**
+  Count the strings which this FSM accepts. The result is a `BigInt`, or
+  `Infinity` if there are infinitely many, which is the case precisely when
+  a loop can be found among the live states. As with `strings()`,
+  `ANYTHING_ELSE` counts as a single symbol.
+*/
+export const cardinality = fsm => {
+  const initial = fsm.states[0]
+  if (!fsm._hasLiveState(initial)) {
+    return 0n
+  }
+
+  // A depth-first search with an explicit stack, so that long chains of
+  // states can't overflow. Each frame holds a state, the index of the next
+  // symbol to follow from it, and the total so far. A state is counted as
+  // `Infinity` until it's finished, so if we come back to it before then, we
+  // have found a loop
+  const counts = new Map([[initial, Infinity]])
+  const frame = state => ({ state, i: 0, total: fsm.hasFinalState(state) ? 1n : 0n })
+  const stack = [frame(initial)]
+  while (stack.length > 0) {
+    const top = stack[stack.length - 1]
+    if (top.i === fsm.alphabet.length) {
+      counts.set(top.state, top.total)
+      stack.pop()
+      if (stack.length > 0) {
+        stack[stack.length - 1].total += top.total
+      }
+      continue
+    }
+
+    const next = fsm.follow(top.state, fsm.alphabet[top.i])
+    top.i++
+    if (!fsm._hasLiveState(next)) {
+      continue
+    }
+    if (!counts.has(next)) {
+      counts.set(next, Infinity)
+      stack.push(frame(next))
+    } else if (counts.get(next) === Infinity) {
+      return Infinity
+    } else {
+      top.total += counts.get(next)
+    }
+  }
+
+  return counts.get(initial)
+}
+
+/**
+  Return an array of `length + 1` `Map`s. The `k`th `Map` maps each live
+  state to the number of strings of length `k` which lead from that state to
+  a final state.
+*/
+const pathCounts = (fsm, length) => {
+  if (!Number.isInteger(length) || length < 0) {
+    throw Error('Length must be a non-negative integer, not ' + String(length))
+  }
+
+  const liveStates = fsm.states.filter(state => fsm._hasLiveState(state))
+
+  const levels = [new Map()]
+  liveStates.forEach(state => {
+    levels[0].set(state, fsm.hasFinalState(state) ? 1n : 0n)
+  })
+
+  for (let k = 1; k <= length; k++) {
+    const prev = levels[k - 1]
+    const level = new Map()
+    liveStates.forEach(state => {
+      let total = 0n
+      fsm.alphabet.forEach(symbol => {
+        const next = fsm.follow(state, symbol)
+        if (prev.has(next)) {
+          total += prev.get(next)
+        }
+      })
+      level.set(state, total)
+    })
+    levels.push(level)
+  }
+
+  return levels
+}
+
+/**
+  Count the strings of exactly the given length which this FSM accepts. The
+  result is a `BigInt`.
+*/
+export const countByLength = (fsm, length) => {
+  const levels = pathCounts(fsm, length)
+  return levels[length].get(fsm.states[0]) || 0n
+}
+
+/**
+  Count the strings of the given length or shorter which this FSM accepts.
+  The result is a `BigInt`.
+*/
+export const countUpToLength = (fsm, length) =>
+  pathCounts(fsm, length).reduce((total, level) => total + (level.get(fsm.states[0]) || 0n), 0n)
+
+/**
+  Return a function which, like `Math.random`, returns numbers between 0
+  (inclusive) and 1 (exclusive). The numbers are determined by `seed`, so
+  the same seed always gives the same sequence. This is Mulberry32, which is
+  fast and good enough for testing, but not for cryptography.
+*/
+export const seededRandom = seed => {
+  if (!Number.isInteger(seed)) {
+    throw Error('Seed must be an integer, not ' + String(seed))
+  }
+
+  let a = seed >>> 0
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0
+    let t = a
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+/**
+  Return a uniformly random `BigInt` from 0 up to but not including `n`.
+  Random bits are generated 32 at a time, and any result which is too large
+  is thrown away, to avoid bias.
+*/
+const randomBelow = (n, rng) => {
+  const bits = n.toString(2).length
+  while (true) {
+    let value = 0n
+    for (let i = 0; i < bits; i += 32) {
+      value = (value << 32n) | BigInt(Math.floor(rng() * 4294967296))
+    }
+    value &= (1n << BigInt(bits)) - 1n
+    if (value < n) {
+      return value
+    }
+  }
+}
+
+// Pick a character uniformly at random from a non-empty charset
+const randomChar = (set, rng) => {
+  const sizes = set.ranges.map(range => BigInt(range[1] - range[0] + 1))
+  let choice = randomBelow(sizes.reduce((total, size) => total + size, 0n), rng)
+  const k = sizes.findIndex(size => {
+    if (choice < size) {
+      return true
+    }
+    choice -= size
+    return false
+  })
+  return String.fromCodePoint(set.ranges[k][0] + Number(choice))
+}
+
+const SURROGATES = fromRanges([[0xD800, 0xDFFF]])
+
+/**
+  Return the default way to turn symbols from `alphabet` into concrete
+  characters. A charset becomes one of its characters, and `ANYTHING_ELSE`
+  becomes a character which no other symbol matches. Lone surrogates aren't
+  characters in their own right, so `ANYTHING_ELSE` never becomes one of
+  those. Other symbols are left as they are.
+*/
+const concretiser = alphabet => {
+  let others
+  return (symbol, rng) => {
+    if (isCharset(symbol)) {
+      return randomChar(symbol, rng)
+    }
+    if (symbol === ANYTHING_ELSE) {
+      if (others === undefined) {
+        others = alphabet
+          .map(other => isCharset(other) ? other : charsetOf(other))
+          .filter(set => set !== null)
+          .reduce((union, set) => union.union(set), SURROGATES)
+          .complement()
+      }
+      if (others.isEmpty()) {
+        throw Error('ANYTHING_ELSE stands for no characters here')
+      }
+      return randomChar(others, rng)
+    }
+    return symbol
+  }
+}
+
+/**
+  Return a string (array of symbols) of the given length, chosen uniformly at
+  random from all of the strings of that length which the FSM accepts, or
+  `null` if there aren't any. Each symbol is chosen with probability
+  proportional to the number of ways of completing the string after it.
+  `rng` defaults to `Math.random`. Each symbol is then passed through
+  `concretise`, which by default turns charsets and `ANYTHING_ELSE` into
+  characters as described above.
+*/
+export const sample = (fsm, options = {}) => {
+  const length = options.length
+  const rng = options.rng === undefined ? Math.random : options.rng
+  const concretise = options.concretise === undefined ? concretiser(fsm.alphabet) : options.concretise
+
+  const levels = pathCounts(fsm, length)
+  let state = fsm.states[0]
+  if (!(levels[length].get(state) > 0n)) {
+    return null
+  }
+
+  const string = []
+  for (let k = length; k > 0; k--) {
+    let choice = randomBelow(levels[k].get(state), rng)
+    for (const symbol of fsm.alphabet) {
+      const next = fsm.follow(state, symbol)
+      const count = levels[k - 1].get(next) || 0n
+      if (choice < count) {
+        string.push(concretise(symbol, rng))
+        state = next
+        break
+      }
+      choice -= count
+    }
+  }
+  return string
+}
+
+/**
+  Like `sample`, but choose from the strings of the given length, made of
+  symbols from the FSM's alphabet, which the FSM rejects.
+*/
+export const sampleRejected = (fsm, options = {}) =>
+  sample(everythingBut(fsm), options)
+
+/**
+  Brzozowski derivative. Return an FSM accepting every string `w` such that
+  the present FSM accepts `prefix` followed by `w`. This is just the original
+  FSM, re-rooted at whichever state `prefix` leads to; crawling it from there
+  discards the states which can no longer be reached.
+*/
+export const derive = (fsm, prefix) => {
+  const state = prefix.reduce(fsm.follow, fsm.states[0])
+
+  if (!fsm._hasLiveState(state)) {
+    return nothing(fsm.alphabet)
+  }
+
+  return crawl(fsm.alphabet, state, fsm.hasFinalState, fsm.follow)
+}
+
+/**
+  Explore the product of `a`, starting from `initial`, and `b`, starting from
+  its own initial state, and return every pair of states `[state, bState]`
+  which can be reached. Pairs from which no string is accepted by both FSMs
+  are pruned, apart from the first.
+*/
+const pairsFrom = (a, b, initial) => {
+  const followA = followOrOblivion(a)
+  const followB = followOrOblivion(b)
+
+  return explore(
+    unifyAlphabets([a.alphabet, b.alphabet]),
+    [initial, b.states[0]],
+    () => false,
+    ([state, bState], symbol) => {
+      const next = [followA(state, symbol), followB(bState, symbol)]
+      return a._hasLiveState(next[0]) && b._hasLiveState(next[1]) ? next : OBLIVION_STATE
+    }
+  ).lookup
+}
+
+/**
+  Left quotient. Return an FSM accepting every string `w` such that the FSM
+  `a` accepts `u` followed by `w` for some string `u` accepted by `b`. This
+  generalises `derive` from a single prefix to a whole language of them: we
+  find every state of `a` which some such `u` leads to, then crawl `a` from
+  all of those states at once.
+*/
+export const leftQuotient = (a, b) => {
+  const starts = new Set(pairsFrom(a, b, a.states[0])
+    .filter(([, bState]) => b.hasFinalState(bState))
+    .map(([state]) => state))
+
+  // Sets of states are listed in the order of `a.states`
+  const liveStates = set => a.states.filter(state => set.has(state) && a._hasLiveState(state))
+
+  return crawl(a.alphabet, liveStates(starts), states => states.some(a.hasFinalState), (states, symbol) => {
+    const next = liveStates(new Set(states.map(state => a.follow(state, symbol))))
+    return next.length === 0 ? OBLIVION_STATE : next
+  })
+}
+
+/**
+  Right quotient. Return an FSM accepting every string `w` such that the FSM
+  `a` accepts `w` followed by `u` for some string `u` accepted by `b`. This is
+  just `a` with different final states: a state becomes final if some string
+  accepted by `b` leads from there to a final state of `a`.
+*/
+export const rightQuotient = (a, b) => {
+  const finals = a.states.filter(state => pairsFrom(a, b, state)
+    .some(([substate, bState]) => a.hasFinalState(substate) && b.hasFinalState(bState)))
+
+  return crawl(a.alphabet, a.states[0], state => finals.includes(state), a.follow)
+}
+
+/**
+  For every position in `input`, find where the longest (or shortest) match
+  starting at that position ends, or `null` if there is no such match. This
+  is done in a single pass over the input. A new attempt to match begins at
+  every position, but attempts which reach the same state of the FSM at the
+  same time have the same future, so they are merged into a group, and
+  there are never more groups in play than the FSM has states. Groups form
+  a tree: a node records the ends which its group found while it existed,
+  and once it is merged into a parent, that parent records the rest.
+*/
+const matchEnds = (fsm, input, longest) => {
+  const initial = fsm.states[0]
+  const follow = followOrOblivion(fsm)
+
+  // Nodes are always created after their children
+  const nodes = []
+  const newNode = () => {
+    const node = { parent: null, first: null, last: null }
+    nodes.push(node)
+    return node
+  }
+
+  const join = (groups, state, node) => {
+    if (groups.has(state)) {
+      const parent = newNode()
+      groups.get(state).parent = parent
+      node.parent = parent
+      node = parent
+    }
+    groups.set(state, node)
+  }
+
+  const leaves = []
+  let groups = new Map()
+  for (let i = 0; i <= input.length; i++) {
+    if (fsm._hasLiveState(initial)) {
+      leaves[i] = newNode()
+      join(groups, initial, leaves[i])
+    }
+
+    groups.forEach((node, state) => {
+      if (fsm.hasFinalState(state)) {
+        if (node.first === null) {
+          node.first = i
+        }
+        node.last = i
+      }
+    })
+
+    if (i < input.length) {
+      const next = new Map()
+      groups.forEach((node, state) => {
+        const nextState = follow(state, input[i])
+        if (fsm._hasLiveState(nextState)) {
+          join(next, nextState, node)
+        }
+      })
+      groups = next
+    }
+  }
+
+  // Every node inherits its parent's answer, unless it has a better one of
+  // its own. Later ends are recorded higher up the tree.
+  const ends = new Map()
+  nodes.reverse().forEach(node => {
+    const inherited = node.parent === null ? null : ends.get(node.parent)
+    ends.set(node, longest
+      ? (inherited === null ? node.last : inherited)
+      : (node.first === null ? inherited : node.first))
+  })
+
+  return Array.from({ length: input.length + 1 }, (_, i) =>
+    i in leaves ? ends.get(leaves[i]) : null
+  )
+}
+
+/**
+  Find the substrings of `input` which the FSM accepts, returning an array
+  of `{ start, end }` spans. By default, like a regular expression search,
+  matches are leftmost-longest and don't overlap. With `overlapping`, the
+  match starting at each position is returned, if there is one. With
+  `longest: false`, each match is as short as possible instead.
+*/
+export const findAll = (fsm, input, options = {}) => {
+  const overlapping = options.overlapping === true
+  const longest = options.longest !== false
+
+  input = Array.from(input)
+  const ends = matchEnds(fsm, input, longest)
+
+  const spans = []
+  let start = 0
+  while (start <= input.length) {
+    const end = ends[start]
+    if (end === null) {
+      start++
+      continue
+    }
+
+    spans.push({ start, end })
+
+    // After an empty match, move on anyway, to avoid finding it forever
+    start = overlapping || end === start ? start + 1 : end
+  }
+  return spans
+}
+
+/**
+  Find the leftmost substring of `input` which the FSM accepts, returning a
+  `{ start, end }` span or `null` if there isn't one. Attempts to match are
+  merged as in `matchEnds`, except that a group only needs to remember the
+  earliest start among its attempts. Once a match has been found, later
+  starts can't improve on it, so `input` is only read until no earlier or
+  longer match is possible.
+*/
+export const findFirst = (fsm, input, options = {}) => {
+  const longest = options.longest !== false
+  const initial = fsm.states[0]
+  const follow = followOrOblivion(fsm)
+
+  if (!fsm._hasLiveState(initial)) {
+    return null
+  }
+
+  const symbols = input[Symbol.iterator]()
+  let groups = new Map()
+  let best = null
+  for (let i = 0; ; i++) {
+    if (best === null && !groups.has(initial)) {
+      groups.set(initial, i)
+    }
+
+    groups.forEach((start, state) => {
+      if (fsm.hasFinalState(state) && (best === null || start < best.start || (longest && start === best.start))) {
+        best = { start, end: i }
+      }
+    })
+
+    if (best !== null) {
+      groups.forEach((start, state) => {
+        if (start > best.start || (start === best.start && !longest)) {
+          groups.delete(state)
+        }
+      })
+      if (groups.size === 0) {
+        return best
+      }
+    }
+
+    const { done, value } = symbols.next()
+    if (done) {
+      return best
+    }
+
+    const next = new Map()
+    groups.forEach((start, state) => {
+      const nextState = follow(state, value)
+      // When groups merge, the earliest start wins
+      if (fsm._hasLiveState(nextState) && !(next.get(nextState) <= start)) {
+        next.set(nextState, start)
+      }
+    })
+    groups = next
+  }
+}
+
+/**
+  Build a tokeniser from an array of `{ name, fsm }` rules. All of the rules
+  are run side by side in a single product FSM, each of whose final states
+  is tagged with the first rule which accepts there.
+*/
+export const lexer = rules => {
+  const { alphabet, initial, accepts, follow, key } = product(
+    rules.map(rule => rule.fsm),
+    accepts => accepts.some(accept => accept)
+  )
+
+  const crawled = explore(
+    alphabet,
+    initial,
+    state => accepts(state).some(accept => accept),
+    follow,
+    key
+  )
+  const machine = crawled.fsm
+  const winners = crawled.lookup.map(state => accepts(state).indexOf(true))
+
+  return {
+    rules,
+    fsm: machine,
+
+    /**
+      Split the input into tokens of the form `{ name, start, end, value }`.
+      Each token is the longest prefix of the remaining input which any rule
+      accepts. If several rules accept it, the earliest rule wins. Throws a
+      `SyntaxError` if no rule accepts a non-empty prefix.
+    */
+    tokenize: function (input) {
+      const symbols = Array.from(input)
+      const follow = followOrOblivion(machine)
+
+      const tokens = []
+      let start = 0
+      while (start < symbols.length) {
+        let state = machine.states[0]
+        let end = null
+        let winner
+        let i = start
+        while (machine._hasLiveState(state)) {
+          if (machine.hasFinalState(state)) {
+            end = i
+            winner = winners[state]
+          }
+          if (i === symbols.length) {
+            break
+          }
+          state = follow(state, symbols[i])
+          i++
+        }
+
+        if (end === null || end === start) {
+          const error = SyntaxError('No token matches at position ' + String(start))
+          error.position = start
+          throw error
+        }
+
+        const value = symbols.slice(start, end)
+        tokens.push({
+          name: rules[winner].name,
+          start,
+          end,
+          value: typeof input === 'string' ? value.join('') : value
+        })
+        start = end
+      }
+      return tokens
+    }
+  }
+}
+
+/**
+  Sets of characters, as found in regular expressions. A set is either
+  `{ chars, strings, negated: false }`, meaning exactly the characters in the
+  charset `chars` and the symbols listed in `strings`, or
+  `{ chars, strings, negated: true }`, meaning every symbol except those.
+  The latter is how `ANYTHING_ELSE` comes into play.
+*/
+const DIGITS = charset([['0', '9']])
+const WORD_CHARS = charset([['A', 'Z'], ['a', 'z'], ['0', '9'], '_'])
+const SPACE_CHARS = charset([' ', '\t', '\n', '\r', '\f', '\v'])
+
+const CONTROL_ESCAPES = { n: '\n', r: '\r', t: '\t', f: '\f', v: '\v' }
+
+const SHORTHAND_CLASSES = {
+  d: { chars: DIGITS, strings: [], negated: false },
+  D: { chars: DIGITS, strings: [], negated: true },
+  w: { chars: WORD_CHARS, strings: [], negated: false },
+  W: { chars: WORD_CHARS, strings: [], negated: true },
+  s: { chars: SPACE_CHARS, strings: [], negated: false },
+  S: { chars: SPACE_CHARS, strings: [], negated: true }
+}
+
+// The set containing just `symbol`, which may be a single character or not
+const singleton = symbol =>
+  Array.from(symbol).length === 1
+    ? { chars: charset([symbol]), strings: [], negated: false }
+    : { chars: charset([]), strings: [symbol], negated: false }
+
+// Within a class, only the shorthand classes are negated, and they contain no
+// strings
+const unionCharSets = (x, y) => {
+  if (x.negated && y.negated) {
+    return { chars: x.chars.intersection(y.chars), strings: [], negated: true }
+  }
+  if (x.negated) {
+    return { chars: x.chars.difference(y.chars), strings: [], negated: true }
+  }
+  if (y.negated) {
+    return unionCharSets(y, x)
+  }
+  return {
+    chars: x.chars.union(y.chars),
+    strings: x.strings.concat(y.strings.filter(string => !x.strings.includes(string))),
+    negated: false
+  }
+}
+
+const isSingleChar = set =>
+  !set.negated &&
+  set.strings.length === 0 &&
+  set.chars.ranges.length === 1 &&
+  set.chars.ranges[0][0] === set.chars.ranges[0][1]
+
+// Alphabet symbols are sorted by their first character, so that charsets
+// take their places among the characters. No two symbols have the same key
+const sortKey = symbol =>
+  isCharset(symbol) ? String.fromCodePoint(symbol.ranges[0][0]) : String(symbol)
+
+/**
+  Parse a regular expression and return an FSM accepting exactly the strings
+  it matches. Each symbol is a single character, so test inputs like
+  `fsm.accepts(Array.from('abc'))`. Character classes become charsets, which
+  are split into pieces where they overlap one another or the characters
+  mentioned in the pattern. The alphabet consists of those pieces and
+  characters, plus any symbols in `options.alphabet`, plus `ANYTHING_ELSE`,
+  which stands for every other character. Negated character classes and `.`
+  match `ANYTHING_ELSE`.
+  The supported syntax is: literal characters, `\` escapes, `.`, character
+  classes such as `[a-z_]`, negated character classes such as `[^a-z_]`, the
+  shorthand classes `\d`, `\w`, `\s`, `\D`, `\W` and `\S`, alternation with
+  `|`, grouping with `(...)` or `(?:...)`, and the quantifiers `*`, `+`, `?`,
+  `{n}`, `{m,}` and `{m,n}`. The whole input must match, so there are no
+  anchors. A symbol which isn't a single character can be written
+  `\q{symbol}`, escaping any `\` or `}` within it with a `\`, although not
+  `__proto__`, which couldn't be stored in an FSM's map.
+  A syntax error results in a `SyntaxError` with a `position` property
+  indicating the offending character.
+*/
+export const parse = (pattern, options = {}) => {
+  const chars = Array.from(pattern)
+  let i = 0
+
+  const fail = message => {
+    const error = SyntaxError(message + ' at position ' + String(i))
+    error.position = i
+    throw error
+  }
+
+  const parseHex = (length, terminator) => {
+    let digits = ''
+    while (i < chars.length && /^[0-9a-fA-F]$/.test(chars[i]) && digits.length < length) {
+      digits += chars[i]
+      i++
+    }
+    if (digits.length === 0 || (terminator === undefined && digits.length < length)) {
+      fail('Invalid Unicode escape')
+    }
+    if (terminator !== undefined) {
+      if (chars[i] !== terminator) {
+        fail('Invalid Unicode escape')
+      }
+      i++
+    }
+    const codePoint = parseInt(digits, 16)
+    if (codePoint > 0x10FFFF) {
+      fail('Invalid Unicode escape')
+    }
+    return String.fromCodePoint(codePoint)
+  }
+
+  // Returns a set of characters
+  const parseEscape = () => {
+    const start = i
+    i++
+    if (i >= chars.length) {
+      fail('Incomplete escape')
+    }
+    const char = chars[i]
+    i++
+
+    if (char in SHORTHAND_CLASSES) {
+      return SHORTHAND_CLASSES[char]
+    }
+    if (char in CONTROL_ESCAPES) {
+      return singleton(CONTROL_ESCAPES[char])
+    }
+    if (char === 'u') {
+      if (chars[i] === '{') {
+        i++
+        return singleton(parseHex(6, '}'))
+      }
+      return singleton(parseHex(4))
+    }
+    if (char === 'q') {
+      // A symbol which isn't a single character
+      if (chars[i] !== '{') {
+        fail('Invalid \\q escape')
+      }
+      i++
+      let symbol = ''
+      while (chars[i] !== '}') {
+        if (chars[i] === '\\') {
+          i++
+        }
+        if (i >= chars.length) {
+          fail('Missing }')
+        }
+        symbol += chars[i]
+        i++
+      }
+      i++
+      if (symbol === '__proto__') {
+        i = start
+        fail('`__proto__` cannot be used as a symbol')
+      }
+      return singleton(symbol)
+    }
+    if (/^[0-9A-Za-z]$/.test(char)) {
+      i--
+      fail('Unknown escape \\' + char)
+    }
+    return singleton(char)
+  }
+
+  const parseClass = () => {
+    i++
+    let negated = false
+    if (chars[i] === '^') {
+      negated = true
+      i++
+    }
+
+    let set = { chars: charset([]), strings: [], negated: false }
+    while (chars[i] !== ']') {
+      if (i >= chars.length) {
+        fail('Missing ]')
+      }
+
+      const start = i
+      const first = chars[i] === '\\' ? parseEscape() : singleton(chars[i++])
+
+      if (chars[i] === '-' && i + 1 < chars.length && chars[i + 1] !== ']') {
+        i++
+        const last = chars[i] === '\\' ? parseEscape() : singleton(chars[i++])
+        if (!isSingleChar(first) || !isSingleChar(last)) {
+          i = start
+          fail('Invalid range')
+        }
+        if (first.chars.ranges[0][0] > last.chars.ranges[0][0]) {
+          i = start
+          fail('Range out of order')
+        }
+        const range = fromRanges([[first.chars.ranges[0][0], last.chars.ranges[0][0]]])
+        set = unionCharSets(set, { chars: range, strings: [], negated: false })
+      } else {
+        set = unionCharSets(set, first)
+      }
+    }
+    i++
+
+    return negated ? { chars: set.chars, strings: set.strings, negated: !set.negated } : set
+  }
+
+  const parseAtom = () => {
+    const char = chars[i]
+
+    if (char === '(') {
+      i++
+      if (chars[i] === '?') {
+        if (chars[i + 1] !== ':') {
+          fail('Unsupported group')
+        }
+        i += 2
+      }
+      const inner = parseAlternation()
+      if (chars[i] !== ')') {
+        fail('Missing )')
+      }
+      i++
+      return inner
+    }
+
+    if (char === '[') {
+      return { type: 'chars', set: parseClass() }
+    }
+
+    if (char === '.') {
+      i++
+      return { type: 'chars', set: { chars: charset([]), strings: [], negated: true } }
+    }
+
+    if (char === '\\') {
+      return { type: 'chars', set: parseEscape() }
+    }
+
+    if ('*+?{'.includes(char)) {
+      fail('Nothing to repeat')
+    }
+
+    if (']}'.includes(char)) {
+      fail('Unmatched ' + char)
+    }
+
+    if ('^$'.includes(char)) {
+      fail('Unsupported anchor ' + char)
+    }
+
+    i++
+    return { type: 'chars', set: singleton(char) }
+  }
+
+  const parseInteger = () => {
+    let digits = ''
+    while (DIGITS.has(chars[i])) {
+      digits += chars[i]
+      i++
+    }
+    return digits === '' ? undefined : Number(digits)
+  }
+
+  // Returns `{ min, max }`, or `undefined` if there is no quantifier here
+  const parseQuantifier = () => {
+    const char = chars[i]
+
+    if (char === '*') {
+      i++
+      return { min: 0, max: Infinity }
+    }
+
+    if (char === '+') {
+      i++
+      return { min: 1, max: Infinity }
+    }
+
+    if (char === '?') {
+      i++
+      return { min: 0, max: 1 }
+    }
+
+    if (char === '{') {
+      const start = i
+      i++
+      const min = parseInteger()
+      if (min === undefined) {
+        fail('Invalid quantifier')
+      }
+      let max = min
+      if (chars[i] === ',') {
+        i++
+        max = parseInteger()
+        if (max === undefined) {
+          max = Infinity
+        }
+      }
+      if (chars[i] !== '}') {
+        fail('Invalid quantifier')
+      }
+      i++
+      if (max < min) {
+        i = start
+        fail('Numbers out of order in quantifier')
+      }
+      return { min, max }
+    }
+
+    return undefined
+  }
+
+  const parseQuantified = () => {
+    const atom = parseAtom()
+    const quantifier = parseQuantifier()
+    if (quantifier === undefined) {
+      return atom
+    }
+    if (i < chars.length && '*+?{'.includes(chars[i])) {
+      fail('Nothing to repeat')
+    }
+    return { type: 'repeat', body: atom, min: quantifier.min, max: quantifier.max }
+  }
+
+  const parseConcatenation = () => {
+    const parts = []
+    while (i < chars.length && chars[i] !== '|' && chars[i] !== ')') {
+      parts.push(parseQuantified())
+    }
+    return { type: 'concatenate', parts }
+  }
+
+  const parseAlternation = () => {
+    const parts = [parseConcatenation()]
+    while (chars[i] === '|') {
+      i++
+      parts.push(parseConcatenation())
+    }
+    return { type: 'union', parts }
+  }
+
+  const tree = parseAlternation()
+  if (i < chars.length) {
+    fail('Unmatched )')
+  }
+
+  // Now we know every character which is mentioned, we can build the
+  // alphabet. Single characters are treated as charsets until then
+  const sets = []
+  const others = new Set()
+  const mention = symbol => {
+    if (isCharset(symbol)) {
+      sets.push(symbol)
+    } else if (typeof symbol === 'string' && Array.from(symbol).length === 1) {
+      sets.push(charset([symbol]))
+    } else {
+      others.add(symbol)
+    }
+  }
+  const collect = node => {
+    if (node.type === 'chars') {
+      mention(node.set.chars)
+      node.set.strings.forEach(mention)
+    } else if (node.type === 'repeat') {
+      collect(node.body)
+    } else {
+      node.parts.forEach(collect)
+    }
+  }
+  collect(tree)
+
+  // A transition for `__proto__` couldn't be stored in an FSM's map
+  const extra = options.alphabet || []
+  extra.forEach(symbol => {
+    if (symbol === '__proto__') {
+      throw Error('`__proto__` cannot be used as a symbol')
+    }
+    mention(symbol)
+  })
+  others.delete(ANYTHING_ELSE)
+
+  // Each piece is either inside or outside every set in the pattern. A piece
+  // which is a single character is written as that character
+  const pieces = partition(sets).map(piece =>
+    piece.ranges.length === 1 && piece.ranges[0][0] === piece.ranges[0][1]
+      ? String.fromCodePoint(piece.ranges[0][0])
+      : piece
   )
+  const alphabet = pieces
+    .concat(Array.from(others))
+    .sort((x, y) => sortKey(x) < sortKey(y) ? -1 : 1)
+    .concat([ANYTHING_ELSE])
+
+  const matches = (set, symbol) => {
+    if (symbol === ANYTHING_ELSE) {
+      return false
+    }
+    if (isCharset(symbol)) {
+      return symbol.isSubsetOf(set.chars)
+    }
+    return set.chars.has(symbol) || set.strings.includes(symbol)
+  }
 
-  /**
-    Follow the collection of states through all FSMs at once, jumping to the
-    next FSM if we reach the end of the current one
-    TODO: improve all follow() implementations to allow for dead metastates?
-  */
-  const follow = (current, symbol) => {
-    let next = []
-    current.forEach(pair => {
-      const i = pair.i
-      const substate = pair.substate
-      if (fsms[i].alphabet.includes(symbol)) {
-        _connectAll(fsms, i, fsms[i].follow(substate, symbol)).forEach(nextsubstate => {
-          if (!next.some(x =>
-            x.i === i &&
-            x.substate === nextsubstate.substate
-          )) {
-            next.push(nextsubstate)
+  const compile = node => {
+    if (node.type === 'chars') {
+      const map = { 0: {} }
+      alphabet
+        .filter(symbol => matches(node.set, symbol) !== node.set.negated)
+        .forEach(symbol => {
+          map[0][symbol] = '1'
+        })
+      return fsm(alphabet, ['0', '1'], ['1'], map)
+    }
+
+    if (node.type === 'repeat') {
+      return repeat(compile(node.body), node.min, node.max)
+    }
+
+    if (node.parts.length === 1) {
+      return compile(node.parts[0])
+    }
+
+    if (node.type === 'concatenate') {
+      return node.parts.length === 0
+        ? epsilon(alphabet)
+        : concatenate(node.parts.map(compile))
+    }
+
+    return union(node.parts.map(compile))
+  }
+
+  return reduce(compile(tree))
+}
+
+const CONTROL_NAMES = { '\n': 'n', '\r': 'r', '\t': 't', '\f': 'f', '\v': 'v' }
+const SPECIAL_CHARS = '\\^$.|?*+()[]{}'
+const SPECIAL_CLASS_CHARS = '\\[]^-'
+
+/**
+  Return a string which `parse` understands as the given symbol. `special`
+  lists the characters which need escaping in this context.
+*/
+const escapeSymbol = (symbol, special) => {
+  if (Array.from(symbol).length !== 1) {
+    return '\\q{' + symbol.replace(/[\\}]/g, '\\$&') + '}'
+  }
+  if (symbol in CONTROL_NAMES) {
+    return '\\' + CONTROL_NAMES[symbol]
+  }
+  if (special.includes(symbol)) {
+    return '\\' + symbol
+  }
+  const codePoint = symbol.codePointAt(0)
+  if (codePoint < 0x20 || codePoint === 0x7F) {
+    return '\\u' + codePoint.toString(16).toUpperCase().padStart(4, '0')
+  }
+  return symbol
+}
+
+/**
+  Return a regular expression (as a string, in the syntax understood by
+  `parse`) which matches exactly the strings the FSM accepts. This works by
+  state elimination: states are removed one by one, and the transitions which
+  passed through each one are replaced with transitions labelled with regular
+  expressions. The expressions are simplified as we go.
+  Every symbol must be a string, a charset or `ANYTHING_ELSE`. Charsets are
+  written as character classes. A string which isn't a single character is
+  written as `\q{symbol}`, with any `\` or `}` in it escaped with a `\`.
+  `ANYTHING_ELSE` can only be expressed as part of a negated character class,
+  e.g. `[^abc]`, or as `.`, so these are interpreted relative to the FSM's
+  alphabet.
+*/
+export const toRegex = fsm => {
+  fsm.alphabet.forEach(symbol => {
+    if (symbol !== ANYTHING_ELSE && typeof symbol !== 'string' && !isCharset(symbol)) {
+      throw Error('Symbol ' + String(symbol) + ' cannot be expressed in a regular expression')
+    }
+  })
+
+  const machine = reduce(fsm)
+  const alphabet = machine.alphabet
+
+  // Regular expressions are trees of nodes: a set of symbols, or a
+  // concatenation, alternation or Kleene star of other nodes. Matching nothing
+  // is an empty alternation, matching the empty string is an empty
+  // concatenation. Only transitions to and from the new start and end nodes
+  // can match the empty string, so starred nodes never do.
+  const NOTHING = { type: 'union', parts: [] }
+  const EPSILON = { type: 'concatenate', parts: [] }
+
+  const isNothing = node => node.type === 'union' && node.parts.length === 0
+  const isEpsilon = node => node.type === 'concatenate' && node.parts.length === 0
+
+  const printChars = symbols => {
+    const anythingElse = symbols.includes(ANYTHING_ELSE)
+    const listed = alphabet.filter(symbol =>
+      symbol !== ANYTHING_ELSE && symbols.includes(symbol) !== anythingElse
+    )
+
+    if (anythingElse && listed.length === 0) {
+      return '.'
+    }
+    if (!anythingElse && listed.length === 1 && !isCharset(listed[0])) {
+      return escapeSymbol(listed[0], SPECIAL_CHARS)
+    }
+
+    // Single characters and charsets are merged into ranges of code points.
+    // Runs of three or more consecutive characters are printed as ranges
+    const isChar = symbol => typeof symbol === 'string' && Array.from(symbol).length === 1
+    const ranges = normaliseRanges([].concat(...listed.map(symbol =>
+      isCharset(symbol)
+        ? symbol.ranges
+        : isChar(symbol) ? [[symbol.codePointAt(0), symbol.codePointAt(0)]] : []
+    )))
+    const print = codePoint =>
+      escapeSymbol(String.fromCodePoint(codePoint), SPECIAL_CLASS_CHARS)
+    let contents = ''
+    ranges.forEach(([first, last]) => {
+      if (last - first >= 2) {
+        contents += print(first) + '-' + print(last)
+      } else {
+        for (let codePoint = first; codePoint <= last; codePoint++) {
+          contents += print(codePoint)
+        }
+      }
+    })
+    listed
+      .filter(symbol => !isCharset(symbol) && !isChar(symbol))
+      .forEach(symbol => {
+        contents += escapeSymbol(symbol, SPECIAL_CLASS_CHARS)
+      })
+
+    return '[' + (anythingElse ? '^' : '') + contents + ']'
+  }
+
+  // Print a node which is about to have a quantifier applied to it
+  const printQuantified = (node, quantifier) =>
+    (node.type === 'chars' ? printChars(node.symbols) : '(' + printUnion(node) + ')') + quantifier
+
+  const printItem = node => {
+    if (node.type === 'chars') {
+      return printChars(node.symbols)
+    }
+    if (node.type === 'star') {
+      return printQuantified(node.body, '*')
+    }
+    if (isNothing(node)) {
+      return '[]'
+    }
+    if (node.type === 'union' && node.parts.some(isEpsilon)) {
+      return printQuantified(union(node.parts.filter(part => !isEpsilon(part))), '?')
+    }
+    return '(' + printUnion(node) + ')'
+  }
+
+  const printConcatenation = node => {
+    if (node.type !== 'concatenate') {
+      return printItem(node)
+    }
+
+    // `xx*` is printed as `x+`
+    const items = []
+    node.parts.forEach(part => {
+      if (part.type === 'star') {
+        const body = part.body.type === 'concatenate' ? part.body.parts : [part.body]
+        const previous = items.slice(items.length - body.length)
+        if (
+          previous.length === body.length &&
+          previous.every((item, k) => item.key === printUnion(body[k]))
+        ) {
+          items.splice(items.length - body.length, body.length, {
+            key: undefined,
+            printed: printQuantified(part.body, '+')
+          })
+          return
+        }
+      }
+      items.push({ key: printUnion(part), printed: printItem(part) })
+    })
+
+    return items.map(item => item.printed).join('')
+  }
+
+  const printUnion = node =>
+    node.type === 'union' && !node.parts.some(isEpsilon) && node.parts.length > 0
+      ? node.parts.map(printConcatenation).join('|')
+      : printConcatenation(node)
+
+  const union = parts => {
+    const flat = []
+    parts.forEach(part => {
+      flat.push(...(part.type === 'union' ? part.parts : [part]))
+    })
+
+    // All sets of symbols are merged into one
+    const symbols = []
+    const others = []
+    flat.forEach(part => {
+      if (part.type === 'chars') {
+        part.symbols.forEach(symbol => {
+          if (!symbols.includes(symbol)) {
+            symbols.push(symbol)
           }
         })
+      } else if (!others.some(other => printUnion(other) === printUnion(part))) {
+        others.push(part)
       }
     })
 
-    next = next.filter(pair => pair.substate !== OBLIVION_STATE)
+    const result = (symbols.length > 0 ? [{ type: 'chars', symbols }] : []).concat(others)
+    return result.length === 1 ? result[0] : { type: 'union', parts: result }
+  }
 
-    return next.length === 0 ? OBLIVION_STATE : next
+  const concatenate = parts => {
+    const flat = []
+    parts.forEach(part => {
+      flat.push(...(part.type === 'concatenate' ? part.parts : [part]))
+    })
+    return flat.length === 1 ? flat[0] : { type: 'concatenate', parts: flat }
   }
 
-  return crawl(alphabet, initial, isFinal, follow)
+  const star = body => ({ type: 'star', body })
+
+  // Build the initial graph, with a new start and end. Transitions to the
+  // oblivion state are simply missing
+  const START = Symbol('START')
+  const END = Symbol('END')
+  const edges = new Map([START, END].concat(machine.states).map(node => [node, new Map()]))
+
+  const addEdge = (from, to, node) => {
+    const out = edges.get(from)
+    out.set(to, out.has(to) ? union([out.get(to), node]) : node)
+  }
+
+  addEdge(START, machine.states[0], EPSILON)
+  machine.states.forEach(state => {
+    alphabet.forEach(symbol => {
+      const next = machine.follow(state, symbol)
+      if (next !== OBLIVION_STATE) {
+        addEdge(state, next, { type: 'chars', symbols: [symbol] })
+      }
+    })
+    if (machine.hasFinalState(state)) {
+      addEdge(state, END, EPSILON)
+    }
+  })
+
+  // Eliminate states, cheapest first
+  let remaining = machine.states
+  while (remaining.length > 0) {
+    const incoming = state => [START].concat(remaining)
+      .filter(from => from !== state && edges.get(from).has(state))
+    const outgoing = state => [...edges.get(state).keys()]
+      .filter(to => to !== state)
+
+    const cost = state => incoming(state).length * outgoing(state).length
+    const state = remaining.reduce((best, state) => cost(state) < cost(best) ? state : best)
+
+    const loop = edges.get(state).has(state) ? star(edges.get(state).get(state)) : EPSILON
+    incoming(state).forEach(from => {
+      const before = edges.get(from).get(state)
+      outgoing(state).forEach(to => {
+        addEdge(from, to, concatenate([before, loop, edges.get(state).get(to)]))
+      })
+      edges.get(from).delete(state)
+    })
+
+    remaining = remaining.filter(other => other !== state)
+  }
+
+  return printUnion(edges.get(START).has(END) ? edges.get(START).get(END) : NOTHING)
 }
 
 /**
-  Given an FSM and a multiplier, return the multiplied FSM.
+  JSON serialisation. `Symbol`s can't be represented in JSON, so the special
+  symbols `ANYTHING_ELSE` and `OBLIVION_STATE` are encoded as objects of the
+  form `{ special: 'ANYTHING_ELSE' }`. Other states and symbols must be
+  strings. The transition map is encoded as a list of `[state, symbol, next]`
+  triples, because object keys can't be `Symbol`s either.
 */
-export const multiply = (x, multiplier) =>
-  multiplier === 0
-    ? epsilon(x.alphabet)
-    : concatenate(Array(multiplier).fill(x))
+const JSON_VERSION = 1
 
-// TODO: alphabet should be an object with keys, easier to iterate
-// over.
+const SPECIAL_VALUES = {
+  ANYTHING_ELSE,
+  OBLIVION_STATE
+}
+
+const encodeJSONValue = value => {
+  if (typeof value === 'string') {
+    return value
+  }
+  if (isCharset(value)) {
+    return { charset: value.ranges.map(range => range.slice()) }
+  }
+  const name = Object.keys(SPECIAL_VALUES).find(name => SPECIAL_VALUES[name] === value)
+  if (name === undefined) {
+    throw Error('Cannot serialise ' + String(value) + ', which is not a string')
+  }
+  return { special: name }
+}
+
+// A charset is encoded as its ranges of code points
+const isJSONRange = range =>
+  Array.isArray(range) &&
+  range.length === 2 &&
+  range.every(codePoint => Number.isInteger(codePoint) && codePoint >= 0 && codePoint <= MAX_CODE_POINT) &&
+  range[0] <= range[1]
+
+const decodeJSONValue = value => {
+  if (typeof value === 'string') {
+    return value
+  }
+  if (typeof value === 'object' && value !== null) {
+    if (Object.prototype.hasOwnProperty.call(SPECIAL_VALUES, value.special)) {
+      return SPECIAL_VALUES[value.special]
+    }
+    if (Array.isArray(value.charset) && value.charset.every(isJSONRange)) {
+      return fromRanges(value.charset)
+    }
+  }
+  throw Error('Cannot deserialise ' + JSON.stringify(value) + ', which is not a string, a charset or a special value')
+}
 
 /**
-  If the present FSM accepts X, returns an FSM accepting X* (i.e. 0 or
-  more Xes). This is NOT as simple as naively connecting the final states
-  back to the initial state: see (b*ab)* for example.
+  Build an FSM from the output of its `toJSON` method, or a JSON string
+  containing the same. The data is validated, and anything amiss results in
+  an exception being thrown.
 */
-export const star = fsm => {
-  const alphabet = fsm.alphabet
+export const fromJSON = data => {
+  if (typeof data === 'string') {
+    data = JSON.parse(data)
+  }
 
-  const initial = [fsm.states[0]]
+  if (typeof data !== 'object' || data === null) {
+    throw Error('FSM data must be an object')
+  }
 
-  const follow = (state, symbol) => {
-    let next = []
-    state.forEach(substate => {
-      const nextsubstate = fsm.follow(substate, symbol)
-      if (!next.includes(nextsubstate)) {
-        next.push(nextsubstate)
-      }
+  if (data.version !== JSON_VERSION) {
+    throw Error('Unsupported FSM data version ' + String(data.version) + ', expected ' + String(JSON_VERSION))
+  }
 
-      // If one of our substates is final, then we can also consider
-      // transitions from the initial state of the original FSM.
-      if (fsm.hasFinalState(substate)) {
-        const nextsubstate2 = fsm.follow(initial, symbol)
-        if (!next.includes(nextsubstate2)) {
-          next.push(nextsubstate2)
-        }
+  const arrays = ['alphabet', 'states', 'finals', 'map']
+  arrays.forEach(key => {
+    if (!Array.isArray(data[key])) {
+      throw Error('FSM data must have an array `' + key + '`')
+    }
+  })
+
+  const alphabet = data.alphabet.map(decodeJSONValue)
+  const states = data.states.map(decodeJSONValue)
+  const initial = decodeJSONValue(data.initial)
+  const finals = data.finals.map(decodeJSONValue)
+
+  if (!states.includes(initial)) {
+    throw Error('Initial state ' + String(initial) + ' must be one of the states')
+  }
+
+  // Transitions are gathered on prototype-less objects, so hostile data
+  // can't reach `Object.prototype`. `__proto__` still couldn't be copied
+  // into a plain object safely, so it is rejected outright
+  alphabet.concat(states).forEach(value => {
+    if (value === '__proto__') {
+      throw Error('`__proto__` cannot be used as a state or symbol')
+    }
+  })
+
+  const transitions = Object.create(null)
+  data.map.forEach(transition => {
+    if (!Array.isArray(transition) || transition.length !== 3) {
+      throw Error('Each transition must be an array `[state, symbol, next]`')
+    }
+    const [state, decoded, next] = transition.map(decodeJSONValue)
+    if (!states.includes(state)) {
+      throw Error('Transition from ' + String(state) + ', which is not a state')
+    }
+    // Equal charsets are decoded as different objects, so compare keys
+    const symbol = alphabet.find(other => propertyKey(other) === propertyKey(decoded))
+    if (symbol === undefined) {
+      throw Error('Transition for symbol ' + stringifyValue(decoded) + ', which is not in the alphabet')
+    }
+    if (!Object.prototype.hasOwnProperty.call(transitions, state)) {
+      transitions[state] = Object.create(null)
+    }
+    if (Object.prototype.hasOwnProperty.call(transitions[state], symbol)) {
+      throw Error('Duplicate transition for state ' + String(state) + ' and symbol ' + stringifyValue(symbol))
+    }
+    transitions[state][symbol] = next
+  })
+
+  const map = {}
+  Reflect.ownKeys(transitions).forEach(state => {
+    map[state] = Object.assign({}, transitions[state])
+  })
+
+  return fsm(
+    alphabet,
+    [initial].concat(states.filter(state => state !== initial)),
+    finals,
+    map
+  )
+}
+
+const nameOf = value =>
+  typeof value === 'symbol' ? String(value.description) : stringifyValue(value)
+
+/**
+  Gather everything needed to draw the FSM as a graph. Parallel transitions
+  are merged into a single edge, labelled with all of their symbols. If an
+  edge carries `ANYTHING_ELSE`, it is labelled by what it doesn't carry
+  instead. The oblivion state is only drawn if `showOblivion` is set.
+*/
+const toGraph = (fsm, showOblivion) => {
+  const ids = new Map(fsm.states.map((state, i) => [state, 's' + String(i)]))
+
+  const nodes = fsm.states.map(state => ({
+    id: ids.get(state),
+    label: nameOf(state),
+    final: fsm.hasFinalState(state)
+  }))
+
+  const edges = new Map()
+  const addEdge = (from, to, symbol) => {
+    const key = from + ' ' + to
+    if (!edges.has(key)) {
+      edges.set(key, { from, to, symbols: [] })
+    }
+    edges.get(key).symbols.push(symbol)
+  }
+
+  fsm.states.forEach(state => {
+    fsm.alphabet.forEach(symbol => {
+      const next = fsm.follow(state, symbol)
+      if (ids.has(next)) {
+        addEdge(ids.get(state), ids.get(next), symbol)
+      } else if (showOblivion) {
+        addEdge(ids.get(state), 'oblivion', symbol)
       }
     })
+  })
 
-    next = next.filter(substate => substate !== OBLIVION_STATE)
+  if ([...edges.values()].some(edge => edge.to === 'oblivion')) {
+    nodes.push({ id: 'oblivion', label: 'oblivion', final: false })
+    fsm.alphabet.forEach(symbol => {
+      addEdge('oblivion', 'oblivion', symbol)
+    })
+  }
 
-    if (next.length === 0) {
-      return OBLIVION_STATE
+  const label = symbols => {
+    if (!symbols.includes(ANYTHING_ELSE)) {
+      return symbols.map(nameOf).join(', ')
     }
+    const excluded = fsm.alphabet.filter(symbol => !symbols.includes(symbol))
+    return excluded.length === 0
+      ? 'anything'
+      : 'anything except ' + excluded.map(nameOf).join(', ')
+  }
 
-    return next
+  return {
+    initial: ids.get(fsm.states[0]),
+    nodes,
+    edges: [...edges.values()].map(edge => ({ from: edge.from, to: edge.to, label: label(edge.symbols) }))
   }
+}
 
-  const isFinal = state => state.some(fsm.hasFinalState)
+/**
+  Return a description of the FSM in the Graphviz DOT language. The initial
+  state is marked with an incoming arrow, final states are double circles.
+  Set `options.showOblivion` to draw the oblivion state too.
+*/
+export const toDot = (fsm, options = {}) => {
+  const quote = string => '"' + string.replace(/["\\]/g, '\\$&').replace(/\n/g, '\\n') + '"'
+
+  const graph = toGraph(fsm, options.showOblivion === true)
+
+  return [
+    'digraph {',
+    '  rankdir=LR',
+    '  node [shape=circle]',
+    '  start [shape=point]'
+  ].concat(
+    graph.nodes.map(node =>
+      '  ' + node.id + ' [label=' + quote(node.label) + (node.final ? ' shape=doublecircle' : '') + ']'
+    ),
+    ['  start -> ' + graph.initial],
+    graph.edges.map(edge =>
+      '  ' + edge.from + ' -> ' + edge.to + ' [label=' + quote(edge.label) + ']'
+    ),
+    ['}']
+  ).map(line => line + '\n').join('')
+}
 
-  return union([epsilon(alphabet), crawl(alphabet, initial, isFinal, follow)])
+/**
+  Return a description of the FSM as a Mermaid flowchart. The initial state
+  is marked with an incoming arrow, final states are double circles. Set
+  `options.showOblivion` to draw the oblivion state too.
+*/
+export const toMermaid = (fsm, options = {}) => {
+  const quote = string => '"' + string.replace(/"/g, '#quot;').replace(/\n/g, '<br>') + '"'
+
+  const graph = toGraph(fsm, options.showOblivion === true)
+
+  return [
+    'flowchart LR',
+    '  start(( ))'
+  ].concat(
+    graph.nodes.map(node =>
+      '  ' + node.id + (node.final ? '(((' + quote(node.label) + ')))' : '((' + quote(node.label) + '))')
+    ),
+    ['  start --> ' + graph.initial],
+    graph.edges.map(edge =>
+      '  ' + edge.from + ' -->|' + quote(edge.label) + '| ' + edge.to
+    )
+  ).map(line => line + '\n').join('')
 }
@@ -1,5 +1,6 @@
 import assert from 'node:assert/strict'
 import { describe, it, beforeEach } from 'node:test'
+import { Readable } from 'node:stream'
 
 import {
   fsm,
@@ -11,6 +12,53 @@ import {
   intersection,
   union,
   multiply,
+  reduce,
+  reversed,
+  everythingBut,
+  difference,
+  symmetricDifference,
+  isEmpty,
+  isUniversal,
+  isSubset,
+  isDisjoint,
+  equivalent,
+  cardinality,
+  countByLength,
+  countUpToLength,
+  derive,
+  parse,
+  toRegex,
+  fromJSON,
+  toDot,
+  toMermaid,
+  crawl,
+  nfa,
+  EPSILON,
+  findAll,
+  findFirst,
+  lexer,
+  transducer,
+  identityTransducer,
+  compose,
+  charset,
+  charsetWhere,
+  isCharset,
+  seededRandom,
+  sample,
+  sampleRejected,
+  OBLIVION_STATE,
+  InvalidFsmError,
+  unifyAlphabets,
+  repeat,
+  plus,
+  optional,
+  shuffle,
+  mapSymbols,
+  inverseMap,
+  restrict,
+  extendAlphabet,
+  leftQuotient,
+  rightQuotient,
   _connectAll
 } from '../src/main.js'
 
@@ -60,6 +108,43 @@ describe('fsm', () => {
           fsm(['a'], ['1'], [], { 1: { a: '2' } })
         })
       })
+
+      it('reports what is wrong', () => {
+        const x = Symbol('x')
+        const cases = [
+          [() => fsm(['a'], [], [], {}), 'emptyStates', 'An FSM must have at least one state', undefined, undefined],
+          [() => fsm(['a', 1], ['1'], [], {}), 'invalidSymbol', 'Alphabet symbol 1 must be a string, a Symbol or a charset', undefined, 1],
+          [() => fsm([null], ['1'], [], {}), 'invalidSymbol', 'Alphabet symbol null must be a string, a Symbol or a charset', undefined, null],
+          [() => fsm([x, x], ['1'], [], {}), 'duplicateSymbol', 'Duplicate alphabet symbol Symbol(x)', undefined, x],
+          [() => fsm(['toString', 'a'], ['1', '1'], [], {}), 'duplicateState', 'Duplicate state 1', '1', undefined],
+          [() => fsm([], [x], ['2'], {}), 'invalidFinal', 'Final state 2 must be one of Symbol(x)', '2', undefined],
+          [() => fsm(['a'], ['1'], [], { 2: {} }), 'invalidMapState', 'Transitions for 2, which is not a state', '2', undefined],
+          [() => fsm(['a'], ['1'], [], { [x]: {} }), 'invalidMapState', 'Transitions for Symbol(x), which is not a state', x, undefined],
+          [() => fsm(['a'], ['1'], [], { 1: { b: '1' } }), 'invalidMapSymbol', 'Transition for state 1 and symbol b, which is not in the alphabet', '1', 'b'],
+          [() => fsm(['a'], ['1'], [], { 1: { [ANYTHING_ELSE]: '1' } }), 'invalidMapSymbol', 'Transition for state 1 and symbol Symbol(ANYTHING_ELSE), which is not in the alphabet', '1', ANYTHING_ELSE],
+          [() => fsm([x], [x], [], { [x]: { [x]: '2' } }), 'invalidTransition', 'Transition for state Symbol(x) and symbol Symbol(x) leads to 2, which is not a state', x, x]
+        ]
+        cases.forEach(([f, kind, message, state, symbol]) => {
+          assert.throws(f, error => {
+            assert.deepEqual(error instanceof InvalidFsmError, true)
+            assert.deepEqual(error instanceof Error, true)
+            assert.deepEqual(error.name, 'InvalidFsmError')
+            assert.deepEqual(error.kind, kind)
+            assert.deepEqual(error.message, message)
+            assert.deepEqual(error.state, state)
+            assert.deepEqual(error.symbol, symbol)
+            return true
+          })
+        })
+      })
+    })
+
+    it('accepts Symbols as states and symbols', () => {
+      const x = Symbol('x')
+      const y = Symbol('y')
+      const xy = fsm([x, 'toString'], [x, y], [y], { [x]: { [x]: y } })
+      assert.deepEqual(xy.accepts([x]), true)
+      assert.deepEqual(xy.accepts(['toString']), false)
     })
   })
 
@@ -241,6 +326,77 @@ describe('fsm', () => {
       assert.deepEqual(gen.next().value, ['b', 'a', 'b'])
       assert.deepEqual(gen.next().done, true)
     })
+
+    it('is iterable', () => {
+      assert.deepEqual([...union([a, b]).strings()], [['a'], ['b']])
+      const strings = []
+      for (const string of concatenate([a, b]).strings()) {
+        strings.push(string)
+      }
+      assert.deepEqual(strings, [['a', 'b']])
+    })
+
+    it('is sorted by length, then by alphabet order', () => {
+      const ba = fsm(['b', 'a'], ['0', '1'], ['0', '1'], { 0: { a: '1', b: '1' }, 1: { a: '1' } })
+      assert.deepEqual([...ba.strings({ maxLength: 3 })].map(string => string.join('')), [
+        '', 'b', 'a', 'ba', 'aa', 'baa', 'aaa'
+      ])
+    })
+
+    it('stops at maxLength', () => {
+      const as = parse('a*', { alphabet: ['b'] })
+      assert.deepEqual([...as.strings({ maxLength: 2 })], [[], ['a'], ['a', 'a']])
+      assert.deepEqual([...as.strings({ maxLength: 0 })], [[]])
+      assert.deepEqual([...as.strings({ maxLength: Infinity, limit: 2 })], [[], ['a']])
+    })
+
+    it('stops at limit', () => {
+      const abs = parse('(a|b)*', { alphabet: ['c'] })
+      assert.deepEqual([...abs.strings({ limit: 4 })], [[], ['a'], ['b'], ['a', 'a']])
+      assert.deepEqual([...abs.strings({ limit: 0 })], [])
+    })
+
+    it('starts after a given string', () => {
+      const abs = parse('(a|b)*', { alphabet: ['c'] })
+      assert.deepEqual([...abs.strings({ startAfter: ['a', 'b'], limit: 4 })], [
+        ['b', 'a'], ['b', 'b'], ['a', 'a', 'a'], ['a', 'a', 'b']
+      ])
+      // The string itself needn't be accepted
+      assert.deepEqual([...abs.strings({ startAfter: ['a', 'c'], limit: 2 })], [['b', 'a'], ['b', 'b']])
+      assert.deepEqual([...abs.strings({ startAfter: ['z'], limit: 1 })], [['a', 'a']])
+      assert.deepEqual([...abs.strings({ startAfter: [], limit: 1 })], [['a']])
+      assert.deepEqual([...a.strings({ startAfter: ['a'] })], [])
+      assert.throws(() => [...a.strings({ startAfter: ['c'] })], Error('Unrecognised symbol c'))
+    })
+
+    it('skips ahead without generating earlier strings', () => {
+      // There are 2 ** 30 strings of this length, so this only finishes if
+      // the earlier ones are skipped
+      const abs = parse('(a|b)*')
+      const start = Array(29).fill('b').concat(['a'])
+      assert.deepEqual([...abs.strings({ startAfter: start, limit: 1 })], [Array(30).fill('b')])
+    })
+
+    it('agrees with filtering every string', () => {
+      const all = (machine, startAfter) => [...machine.strings({ startAfter, maxLength: 5 })].map(string => string.join(''))
+      const machines = [parse('(a|b)*'), parse('a*b|ba*'), parse('(ab|b)+a?'), parse('aab|b')]
+      const starts = [[], ['a'], ['b'], ['a', 'a'], ['b', 'a'], ['b', 'b'], ['a', 'b', 'a'], ['b', 'b', 'b', 'b']]
+      machines.forEach(machine => {
+        const everything = all(machine)
+        starts.forEach(start => {
+          const expected = everything.filter(string =>
+            string.length > start.length || (string.length === start.length && string > start.join(''))
+          )
+          assert.deepEqual(all(machine, start), expected)
+        })
+      })
+      assert.deepEqual([...parse('(a|b)*').strings({ startAfter: ['b', 'b'], maxLength: 2 })], [])
+    })
+
+    it('rejects invalid bounds', () => {
+      assert.throws(() => [...a.strings({ maxLength: -1 })], Error('maxLength must be a non-negative integer, not -1'))
+      assert.throws(() => [...a.strings({ limit: 1.5 })], Error('limit must be a non-negative integer, not 1.5'))
+    })
   })
 
   describe('_connectAll', () => {
@@ -277,7 +433,7 @@ describe('fsm', () => {
 
   describe('_getLiveStates', () => {
     it('works', () => {
-      assert.deepEqual(a._getLiveStates(), { 0: true, 1: true })
+      assert.deepEqual(a._getLiveStates(), new Set(['1', '0']))
     })
   })
 
@@ -366,6 +522,15 @@ describe('fsm', () => {
       })
     })
 
+    it('A star, A and B', () => {
+      // This is a*ab. Substates of different FSMs used to be confused
+      const concAstarAB = concatenate([star(a), a, b])
+      assert.deepEqual(concAstarAB.accepts(['a', 'b']), true)
+      assert.deepEqual(concAstarAB.accepts(['a', 'a', 'a', 'b']), true)
+      assert.deepEqual(concAstarAB.accepts(['b']), false)
+      assert.deepEqual(concAstarAB.accepts(['a']), false)
+    })
+
     it('should not create new oblivion states', () => {
       const abc = fsm(
         ['a', 'b', 'c'],
@@ -729,4 +894,2686 @@ describe('fsm', () => {
       assert.deepEqual(multiply(abc, 3).states.length, 10)
     })
   })
+
+  describe('reduce', () => {
+    it('merges equivalent states', () => {
+      // This is (a|b)*a(a|b) again
+      const brzozowski = fsm(
+        ['a', 'b'],
+        ['A', 'B', 'C', 'D', 'E'],
+        ['C', 'E'],
+        {
+          A: { a: 'B', b: 'D' },
+          B: { a: 'C', b: 'E' },
+          C: { a: 'C', b: 'E' },
+          D: { a: 'B', b: 'D' },
+          E: { a: 'B', b: 'D' }
+        }
+      )
+      const reduced = reduce(brzozowski)
+      assert.deepEqual(reduced.states.length, 4)
+      assert.deepEqual(reduced.accepts(['a', 'a']), true)
+      assert.deepEqual(reduced.accepts(['b', 'a', 'b']), true)
+      assert.deepEqual(reduced.accepts(['a']), false)
+      assert.deepEqual(reduced.accepts(['b', 'b']), false)
+    })
+
+    it('merges equivalent states of a long cycle', () => {
+      // Accepts strings of as whose length is a multiple of 3, with 3000
+      // states where 3 will do
+      const states = Array.from({ length: 3000 }, (_, i) => String(i))
+      const map = {}
+      states.forEach((state, i) => {
+        map[state] = { a: states[(i + 1) % states.length], b: states[i % 3] }
+      })
+      const cycle = fsm(['a', 'b'], states, states.filter((_, i) => i % 3 === 0), map)
+      const reduced = reduce(cycle)
+      assert.deepEqual(reduced.states.length, 3)
+      assert.deepEqual(equivalent(reduced, cycle).result, true)
+    })
+
+    it('merges dead states into oblivion', () => {
+      const reduced = reduce(a)
+      assert.deepEqual(reduced.states, ['0', '1'])
+      assert.deepEqual(reduced.finals, ['1'])
+      assert.deepEqual(reduced.map, { 0: { a: '1' }, 1: {} })
+    })
+
+    it('discards unreachable states', () => {
+      const reduced = reduce(fsm(
+        ['a'],
+        ['0', '1', '2'],
+        ['0'],
+        {
+          0: { a: '0' },
+          2: { a: '1' }
+        }
+      ))
+      assert.deepEqual(reduced.states, ['0'])
+      assert.deepEqual(reduced.map, { 0: { a: '0' } })
+    })
+
+    it('reduces nothing to a single state', () => {
+      const reduced = reduce(fsm(
+        ['a', 'b'],
+        ['0', '1', '2'],
+        [],
+        {
+          0: { a: '1', b: '2' },
+          1: { a: '2' }
+        }
+      ))
+      assert.deepEqual(reduced.states, ['0'])
+      assert.deepEqual(reduced.finals, [])
+      assert.deepEqual(reduced.map, { 0: {} })
+    })
+
+    it('shrinks combined machines', () => {
+      const aa = union([concatenate([a, a]), multiply(a, 2), concatenate([a, epsilon(['a', 'b']), a])])
+      const reduced = reduce(aa)
+      assert.deepEqual(reduced.states.length, 3)
+      assert.deepEqual(reduced.accepts(['a', 'a']), true)
+      assert.deepEqual(reduced.accepts(['a']), false)
+    })
+
+    it('handles ANYTHING_ELSE', () => {
+      // Both branches accept one or more symbols other than 'a'
+      const reduced = reduce(fsm(
+        ['a', ANYTHING_ELSE],
+        ['0', '1', '2'],
+        ['1', '2'],
+        {
+          0: { [ANYTHING_ELSE]: '1' },
+          1: { [ANYTHING_ELSE]: '2' },
+          2: { [ANYTHING_ELSE]: '1' }
+        }
+      ))
+      assert.deepEqual(reduced.states.length, 2)
+      assert.deepEqual(reduced.accepts(['b', 'c', 'd']), true)
+      assert.deepEqual(reduced.accepts(['b', 'a']), false)
+    })
+
+    it('splits blocks which have already been used as splitters', () => {
+      const reduced = reduce(fsm(
+        ['a', 'b'],
+        ['0', '1', '2', '3', '4', '5', '6'],
+        ['0', '1', '2', '6'],
+        {
+          0: { a: '6', b: '1' },
+          1: { a: '1', b: '2' },
+          2: { a: '4', b: '0' },
+          3: { a: '1', b: '3' },
+          4: { a: '1', b: '5' },
+          5: { b: '2' },
+          6: { a: '6', b: '1' }
+        }
+      ))
+      assert.deepEqual(reduced.states, ['0', '1', '2', '3', '4'])
+      assert.deepEqual(reduced.finals, ['0', '1', '2'])
+      assert.deepEqual(reduced.map, {
+        0: { a: '0', b: '1' },
+        1: { a: '1', b: '2' },
+        2: { a: '3', b: '0' },
+        3: { a: '1', b: '4' },
+        4: { b: '2' }
+      })
+    })
+
+    it('leaves minimal machines alone', () => {
+      assert.deepEqual(reduce(multiply(a, 7)).states.length, 8)
+    })
+  })
+
+  describe('reversed', () => {
+    it('reverses A then B', () => {
+      const ba = reversed(concatenate([a, b]))
+      assert.deepEqual(ba.accepts(['b', 'a']), true)
+      assert.deepEqual(ba.accepts(['a', 'b']), false)
+      assert.deepEqual(ba.accepts(['b']), false)
+      assert.deepEqual(ba.accepts([]), false)
+    })
+
+    it('reverses ab*', () => {
+      const bstara = reversed(fsm(
+        ['a', 'b'],
+        ['0', '1'],
+        ['1'],
+        {
+          0: { a: '1' },
+          1: { b: '1' }
+        }
+      ))
+      assert.deepEqual(bstara.accepts(['a']), true)
+      assert.deepEqual(bstara.accepts(['b', 'a']), true)
+      assert.deepEqual(bstara.accepts(['b', 'b', 'b', 'a']), true)
+      assert.deepEqual(bstara.accepts(['a', 'b']), false)
+      assert.deepEqual(bstara.accepts(['b']), false)
+    })
+
+    it('reverses (a|b)*a(a|b) into a deterministic FSM', () => {
+      const brzozowski = fsm(
+        ['a', 'b'],
+        ['A', 'B', 'C', 'D', 'E'],
+        ['C', 'E'],
+        {
+          A: { a: 'B', b: 'D' },
+          B: { a: 'C', b: 'E' },
+          C: { a: 'C', b: 'E' },
+          D: { a: 'B', b: 'D' },
+          E: { a: 'B', b: 'D' }
+        }
+      )
+      const reversal = reversed(brzozowski)
+      assert.deepEqual(reversal.accepts(['a', 'a']), true)
+      assert.deepEqual(reversal.accepts(['b', 'a']), true)
+      assert.deepEqual(reversal.accepts(['b', 'a', 'b', 'b']), true)
+      assert.deepEqual(reversal.accepts(['a', 'b']), false)
+      assert.deepEqual(reversal.accepts(['a']), false)
+      assert.deepEqual(reversal.accepts([]), false)
+    })
+
+    it('nothing', () => {
+      const reversal = reversed(nothing(['a']))
+      assert.deepEqual(reversal.accepts([]), false)
+      assert.deepEqual(reversal.accepts(['a']), false)
+    })
+
+    it('epsilon', () => {
+      const reversal = reversed(epsilon(['a']))
+      assert.deepEqual(reversal.accepts([]), true)
+      assert.deepEqual(reversal.accepts(['a']), false)
+    })
+
+    it('handles ANYTHING_ELSE', () => {
+      // This is /a./
+      const reversal = reversed(fsm(
+        ['a', ANYTHING_ELSE],
+        ['0', '1', '2'],
+        ['2'],
+        {
+          0: { a: '1' },
+          1: { a: '2', [ANYTHING_ELSE]: '2' }
+        }
+      ))
+      assert.deepEqual(reversal.accepts(['z', 'a']), true)
+      assert.deepEqual(reversal.accepts(['a', 'a']), true)
+      assert.deepEqual(reversal.accepts(['a', 'z']), false)
+    })
+
+    it('gives Brzozowski minimisation when applied twice', () => {
+      const aa = concatenate([a, epsilon(['a', 'b']), a])
+      assert.deepEqual(reversed(reversed(aa)).states.length, reduce(aa).states.length)
+    })
+  })
+
+  describe('everythingBut', () => {
+    it('A', () => {
+      const notA = everythingBut(a)
+      assert.deepEqual(notA.accepts([]), true)
+      assert.deepEqual(notA.accepts(['a']), false)
+      assert.deepEqual(notA.accepts(['b']), true)
+      assert.deepEqual(notA.accepts(['a', 'a']), true)
+      assert.deepEqual(notA.accepts(['a', 'b', 'a']), true)
+      assert.throws(() => notA.accepts(['c']))
+    })
+
+    it('nothing', () => {
+      const everything = everythingBut(nothing(['a']))
+      assert.deepEqual(everything.accepts([]), true)
+      assert.deepEqual(everything.accepts(['a', 'a', 'a']), true)
+    })
+
+    it('twice', () => {
+      const notNotA = everythingBut(everythingBut(a))
+      assert.deepEqual(notNotA.accepts([]), false)
+      assert.deepEqual(notNotA.accepts(['a']), true)
+      assert.deepEqual(notNotA.accepts(['a', 'a']), false)
+    })
+
+    it('accepts unrecognised symbols if ANYTHING_ELSE is in the alphabet', () => {
+      const notA = everythingBut(fsm(
+        ['a', ANYTHING_ELSE],
+        ['0', '1'],
+        ['1'],
+        {
+          0: { a: '1' }
+        }
+      ))
+      assert.deepEqual(notA.accepts(['a']), false)
+      assert.deepEqual(notA.accepts(['b']), true)
+      assert.deepEqual(notA.accepts(['a', 'b']), true)
+      assert.deepEqual(notA.accepts([ANYTHING_ELSE]), true)
+    })
+  })
+
+  describe('difference', () => {
+    it('A star minus A', () => {
+      const diff = difference([star(a), a])
+      assert.deepEqual(diff.accepts([]), true)
+      assert.deepEqual(diff.accepts(['a']), false)
+      assert.deepEqual(diff.accepts(['a', 'a']), true)
+      assert.deepEqual(diff.accepts(['b']), false)
+    })
+
+    it('subtracts several FSMs', () => {
+      const diff = difference([star(a), a, epsilon(['a']), multiply(a, 3)])
+      assert.deepEqual(diff.accepts([]), false)
+      assert.deepEqual(diff.accepts(['a']), false)
+      assert.deepEqual(diff.accepts(['a', 'a']), true)
+      assert.deepEqual(diff.accepts(['a', 'a', 'a']), false)
+      assert.deepEqual(diff.accepts(['a', 'a', 'a', 'a']), true)
+    })
+
+    it('A minus A', () => {
+      const diff = difference([a, a])
+      assert.deepEqual(diff.accepts([]), false)
+      assert.deepEqual(diff.accepts(['a']), false)
+    })
+
+    it('unifies alphabets', () => {
+      const a = fsm(['a'], ['0'], ['0'], { 0: { a: '0' } })
+      const b = fsm(['b'], ['0', '1'], ['1'], { 0: { b: '1' } })
+      const diff = difference([a, b])
+      assert.deepEqual(diff.alphabet, ['a', 'b'])
+      assert.deepEqual(diff.accepts(['a', 'a']), true)
+      assert.deepEqual(diff.accepts(['b']), false)
+      assert.deepEqual(diff.accepts(['a', 'b']), false)
+    })
+  })
+
+  describe('symmetricDifference', () => {
+    it('A star and A A', () => {
+      const symdiff = symmetricDifference([star(a), multiply(a, 2)])
+      assert.deepEqual(symdiff.accepts([]), true)
+      assert.deepEqual(symdiff.accepts(['a']), true)
+      assert.deepEqual(symdiff.accepts(['a', 'a']), false)
+      assert.deepEqual(symdiff.accepts(['a', 'a', 'a']), true)
+    })
+
+    it('accepts whatever an odd number of FSMs accept', () => {
+      const symdiff = symmetricDifference([star(a), a, a])
+      assert.deepEqual(symdiff.accepts([]), true)
+      assert.deepEqual(symdiff.accepts(['a']), true)
+      assert.deepEqual(symdiff.accepts(['a', 'a']), true)
+
+      const symdiff2 = symmetricDifference([star(a), a, epsilon(['a'])])
+      assert.deepEqual(symdiff2.accepts([]), false)
+      assert.deepEqual(symdiff2.accepts(['a']), false)
+      assert.deepEqual(symdiff2.accepts(['a', 'a']), true)
+    })
+
+    it('A and B', () => {
+      const symdiff = symmetricDifference([a, b])
+      assert.deepEqual(symdiff.accepts(['a']), true)
+      assert.deepEqual(symdiff.accepts(['b']), true)
+      assert.deepEqual(symdiff.accepts([]), false)
+    })
+  })
+
+  describe('isEmpty', () => {
+    it('nothing', () => {
+      assert.deepEqual(isEmpty(nothing(['a'])), { result: true, witness: null })
+    })
+
+    it('A', () => {
+      assert.deepEqual(isEmpty(a), { result: false, witness: ['a'] })
+    })
+
+    it('epsilon', () => {
+      assert.deepEqual(isEmpty(epsilon(['a'])), { result: false, witness: [] })
+    })
+
+    it('dead states', () => {
+      assert.deepEqual(isEmpty(intersection([a, b])), { result: true, witness: null })
+    })
+
+    it('finds the shortest witness', () => {
+      // This is (a|b)*a(a|b)
+      const brzozowski = fsm(
+        ['a', 'b'],
+        ['A', 'B', 'C', 'D', 'E'],
+        ['C', 'E'],
+        {
+          A: { a: 'B', b: 'D' },
+          B: { a: 'C', b: 'E' },
+          C: { a: 'C', b: 'E' },
+          D: { a: 'B', b: 'D' },
+          E: { a: 'B', b: 'D' }
+        }
+      )
+      assert.deepEqual(isEmpty(brzozowski), { result: false, witness: ['a', 'a'] })
+    })
+
+    it('terminates on infinite languages', () => {
+      assert.deepEqual(isEmpty(concatenate([star(a), b])), { result: false, witness: ['b'] })
+    })
+  })
+
+  describe('isUniversal', () => {
+    it('A', () => {
+      assert.deepEqual(isUniversal(a), { result: false, witness: [] })
+    })
+
+    it('A star', () => {
+      assert.deepEqual(isUniversal(star(a)), { result: false, witness: ['b'] })
+    })
+
+    it('everything', () => {
+      assert.deepEqual(isUniversal(everythingBut(nothing(['a', 'b']))), { result: true, witness: null })
+      assert.deepEqual(isUniversal(union([star(a), everythingBut(star(a))])), { result: true, witness: null })
+    })
+  })
+
+  describe('isSubset', () => {
+    it('A is a subset of A star', () => {
+      assert.deepEqual(isSubset(a, star(a)), { result: true, witness: null })
+    })
+
+    it('A star is not a subset of A', () => {
+      assert.deepEqual(isSubset(star(a), a), { result: false, witness: [] })
+    })
+
+    it('A A is not a subset of A or B', () => {
+      assert.deepEqual(isSubset(multiply(a, 2), union([a, b])), { result: false, witness: ['a', 'a'] })
+    })
+
+    it('nothing is a subset of anything', () => {
+      assert.deepEqual(isSubset(nothing(['a', 'b']), a), { result: true, witness: null })
+    })
+  })
+
+  describe('isDisjoint', () => {
+    it('A and B', () => {
+      assert.deepEqual(isDisjoint(a, b), { result: true, witness: null })
+    })
+
+    it('A star and B star', () => {
+      assert.deepEqual(isDisjoint(star(a), star(b)), { result: false, witness: [] })
+    })
+
+    it('A star and A A', () => {
+      assert.deepEqual(isDisjoint(star(a), multiply(a, 2)), { result: false, witness: ['a', 'a'] })
+    })
+  })
+
+  describe('equivalent', () => {
+    it('A and A', () => {
+      assert.deepEqual(equivalent(a, a), { result: true, witness: null })
+    })
+
+    it('different constructions of the same language', () => {
+      const aa = concatenate([a, epsilon(['a', 'b']), a])
+      assert.deepEqual(equivalent(aa, multiply(a, 2)), { result: true, witness: null })
+      assert.deepEqual(equivalent(reduce(aa), aa), { result: true, witness: null })
+      assert.deepEqual(equivalent(star(star(a)), star(a)), { result: true, witness: null })
+    })
+
+    it('A and B', () => {
+      assert.deepEqual(equivalent(a, b), { result: false, witness: ['a'] })
+    })
+
+    it('A star and A A star', () => {
+      assert.deepEqual(equivalent(star(a), star(multiply(a, 2))), { result: false, witness: ['a'] })
+    })
+
+    it('handles different alphabets', () => {
+      const aOnly = fsm(['a'], ['0', '1'], ['1'], { 0: { a: '1' } })
+      assert.deepEqual(equivalent(a, aOnly), { result: true, witness: null })
+    })
+  })
+
+  describe('cardinality', () => {
+    it('nothing', () => {
+      assert.deepEqual(cardinality(nothing(['a'])), 0n)
+    })
+
+    it('epsilon', () => {
+      assert.deepEqual(cardinality(epsilon(['a'])), 1n)
+    })
+
+    it('A or B', () => {
+      assert.deepEqual(cardinality(union([a, b])), 2n)
+    })
+
+    it('(AB)?(AB)?', () => {
+      const optional = union([epsilon([]), concatenate([a, b])])
+      assert.deepEqual(cardinality(multiply(optional, 2)), 3n)
+    })
+
+    it('counts strings with many paths', () => {
+      // Every string of length 0 to 3 over a, b
+      const ab = union([a, b])
+      const upTo3 = multiply(union([epsilon(['a', 'b']), ab]), 3)
+      assert.deepEqual(cardinality(upTo3), 15n)
+    })
+
+    it('is big', () => {
+      const ab = union([a, b])
+      assert.deepEqual(cardinality(multiply(ab, 100)), 2n ** 100n)
+    })
+
+    it('is infinite', () => {
+      assert.deepEqual(cardinality(star(a)), Infinity)
+      assert.deepEqual(cardinality(concatenate([b, star(a), b])), Infinity)
+    })
+
+    it('ignores loops among dead states', () => {
+      assert.deepEqual(cardinality(a), 1n)
+    })
+
+    it('handles states named after inherited properties', () => {
+      const machine = fsm(['a', 'b'], ['constructor', 'toString'], ['toString'], {
+        constructor: { a: 'toString', b: 'toString' }
+      })
+      assert.deepEqual(cardinality(machine), 2n)
+    })
+
+    it('handles long chains of states', () => {
+      const states = Array.from({ length: 20000 }, (_, i) => String(i))
+      const map = {}
+      states.slice(1).forEach((state, i) => {
+        map[states[i]] = { a: state, b: state }
+      })
+      const chain = fsm(['a', 'b'], states, states.slice(-1), map)
+      assert.deepEqual(cardinality(chain), 2n ** 19999n)
+    })
+  })
+
+  describe('countByLength', () => {
+    it('rejects bad lengths', () => {
+      assert.throws(() => countByLength(a, -1))
+      assert.throws(() => countByLength(a, 1.5))
+      assert.throws(() => countByLength(a, '1'))
+    })
+
+    it('nothing', () => {
+      assert.deepEqual(countByLength(nothing(['a']), 0), 0n)
+      assert.deepEqual(countByLength(nothing(['a']), 3), 0n)
+    })
+
+    it('A', () => {
+      assert.deepEqual(countByLength(a, 0), 0n)
+      assert.deepEqual(countByLength(a, 1), 1n)
+      assert.deepEqual(countByLength(a, 2), 0n)
+    })
+
+    it('infinite languages', () => {
+      const abstar = star(union([a, b]))
+      assert.deepEqual(countByLength(abstar, 0), 1n)
+      assert.deepEqual(countByLength(abstar, 1), 2n)
+      assert.deepEqual(countByLength(abstar, 10), 1024n)
+      assert.deepEqual(countByLength(abstar, 100), 2n ** 100n)
+    })
+
+    it('handles ANYTHING_ELSE', () => {
+      const any = fsm(
+        ['a', ANYTHING_ELSE],
+        ['0'],
+        ['0'],
+        {
+          0: { a: '0', [ANYTHING_ELSE]: '0' }
+        }
+      )
+      assert.deepEqual(countByLength(any, 3), 8n)
+    })
+  })
+
+  describe('countUpToLength', () => {
+    it('A star', () => {
+      assert.deepEqual(countUpToLength(star(a), 0), 1n)
+      assert.deepEqual(countUpToLength(star(a), 5), 6n)
+    })
+
+    it('A or B, star', () => {
+      assert.deepEqual(countUpToLength(star(union([a, b])), 3), 15n)
+    })
+
+    it('nothing', () => {
+      assert.deepEqual(countUpToLength(nothing(['a']), 3), 0n)
+    })
+  })
+
+  describe('derive', () => {
+    it('A', () => {
+      const derivative = derive(a, ['a'])
+      assert.deepEqual(derivative.accepts([]), true)
+      assert.deepEqual(derivative.accepts(['a']), false)
+    })
+
+    it('by nothing', () => {
+      const derivative = derive(a, [])
+      assert.deepEqual(derivative.accepts([]), false)
+      assert.deepEqual(derivative.accepts(['a']), true)
+    })
+
+    it('into oblivion', () => {
+      const derivative = derive(a, ['b'])
+      assert.deepEqual(derivative.states.length, 1)
+      assert.deepEqual(derivative.finals, [])
+      assert.deepEqual(derivative.alphabet, ['a', 'b'])
+      assert.deepEqual(derive(a, ['a', 'a']).finals, [])
+    })
+
+    it('into a sparse oblivion', () => {
+      const abc = fsm(
+        ['a', 'b', 'c'],
+        ['0', '1', '2', '3'],
+        ['3'],
+        {
+          0: { a: '1' },
+          1: { b: '2' },
+          2: { c: '3' }
+        }
+      )
+      assert.deepEqual(derive(abc, ['b']).finals, [])
+    })
+
+    it('discards unreachable states', () => {
+      const abc = fsm(
+        ['a', 'b', 'c'],
+        ['0', '1', '2', '3'],
+        ['3'],
+        {
+          0: { a: '1' },
+          1: { b: '2' },
+          2: { c: '3' }
+        }
+      )
+      const derivative = derive(abc, ['a', 'b'])
+      assert.deepEqual(derivative.states.length, 2)
+      assert.deepEqual(derivative.accepts(['c']), true)
+    })
+
+    it('lists completions', () => {
+      // All of the strings of length 1 or 2 beginning with 'a'
+      const words = concatenate([a, union([epsilon(['a', 'b']), a, b])])
+      const gen = derive(words, ['a']).strings()
+      assert.deepEqual(gen.next().value, [])
+      assert.deepEqual(gen.next().value, ['a'])
+      assert.deepEqual(gen.next().value, ['b'])
+      assert.deepEqual(gen.next().done, true)
+    })
+
+    it('handles ANYTHING_ELSE', () => {
+      const blockquote = fsm(
+        ['/', '*', ANYTHING_ELSE],
+        ['0', '1', '2', '3', '4'],
+        ['4'],
+        {
+          0: { '/': '1' },
+          1: { '*': '2' },
+          2: { '/': '2', [ANYTHING_ELSE]: '2', '*': '3' },
+          3: { '/': '4', [ANYTHING_ELSE]: '2', '*': '3' }
+        }
+      )
+      const derivative = derive(blockquote, ['/', '*', 'whatever'])
+      assert.deepEqual(derivative.accepts(['*', '/']), true)
+      assert.deepEqual(derivative.accepts(['something', '*', '/']), true)
+      assert.deepEqual(derivative.accepts(['/']), false)
+    })
+  })
+
+  describe('parse', () => {
+    const matches = (pattern, string) => parse(pattern).accepts(Array.from(string))
+
+    it('literals', () => {
+      assert.deepEqual(matches('abc', 'abc'), true)
+      assert.deepEqual(matches('abc', 'ab'), false)
+      assert.deepEqual(matches('abc', 'abcd'), false)
+      assert.deepEqual(matches('abc', 'xyz'), false)
+    })
+
+    it('builds the alphabet from the pattern', () => {
+      const alphabet = parse('cab|\\d').alphabet
+      assert.deepEqual(alphabet[0].ranges, [[0x30, 0x39]])
+      assert.deepEqual(alphabet.slice(1), ['a', 'b', 'c', ANYTHING_ELSE])
+      assert.deepEqual(parse('a', { alphabet: ['b', 'a', ANYTHING_ELSE] }).alphabet, ['a', 'b', ANYTHING_ELSE])
+    })
+
+    it('returns a reduced FSM', () => {
+      assert.deepEqual(parse('a|a').states.length, 2)
+    })
+
+    it('empty', () => {
+      assert.deepEqual(matches('', ''), true)
+      assert.deepEqual(matches('', 'a'), false)
+      assert.deepEqual(matches('()', ''), true)
+      assert.deepEqual(matches('a|', ''), true)
+      assert.deepEqual(matches('a|', 'a'), true)
+    })
+
+    it('dot', () => {
+      assert.deepEqual(matches('a.c', 'abc'), true)
+      assert.deepEqual(matches('a.c', 'aac'), true)
+      assert.deepEqual(matches('a.c', 'a\nc'), true)
+      assert.deepEqual(matches('a.c', 'ac'), false)
+    })
+
+    it('alternation', () => {
+      assert.deepEqual(matches('ab|cd|e', 'ab'), true)
+      assert.deepEqual(matches('ab|cd|e', 'cd'), true)
+      assert.deepEqual(matches('ab|cd|e', 'e'), true)
+      assert.deepEqual(matches('ab|cd|e', 'abcd'), false)
+    })
+
+    it('groups', () => {
+      assert.deepEqual(matches('a(b|c)d', 'abd'), true)
+      assert.deepEqual(matches('a(b|c)d', 'acd'), true)
+      assert.deepEqual(matches('a(b|c)d', 'ad'), false)
+      assert.deepEqual(matches('a(?:b|c)d', 'acd'), true)
+      assert.deepEqual(matches('((a))', 'a'), true)
+    })
+
+    it('quantifiers', () => {
+      assert.deepEqual(matches('ab*', 'a'), true)
+      assert.deepEqual(matches('ab*', 'abbb'), true)
+      assert.deepEqual(matches('ab+', 'a'), false)
+      assert.deepEqual(matches('ab+', 'abbb'), true)
+      assert.deepEqual(matches('ab?', 'a'), true)
+      assert.deepEqual(matches('ab?', 'ab'), true)
+      assert.deepEqual(matches('ab?', 'abb'), false)
+      assert.deepEqual(matches('(ab)*', 'ababab'), true)
+      assert.deepEqual(matches('(ab)*', 'aba'), false)
+      assert.deepEqual(matches('(b*ab)*', 'bbababbab'), true)
+    })
+
+    it('quantified items followed by the same literal', () => {
+      assert.deepEqual(matches('a*ab', 'ab'), true)
+      assert.deepEqual(matches('a*ab', 'aab'), true)
+      assert.deepEqual(matches('a*ab', 'b'), false)
+      assert.deepEqual(matches('a*ab', 'aa'), false)
+    })
+
+    it('bounded quantifiers', () => {
+      assert.deepEqual(matches('a{3}', 'aa'), false)
+      assert.deepEqual(matches('a{3}', 'aaa'), true)
+      assert.deepEqual(matches('a{3}', 'aaaa'), false)
+      assert.deepEqual(matches('a{2,}', 'a'), false)
+      assert.deepEqual(matches('a{2,}', 'aaaaaa'), true)
+      assert.deepEqual(matches('a{2,4}', 'a'), false)
+      assert.deepEqual(matches('a{2,4}', 'aa'), true)
+      assert.deepEqual(matches('a{2,4}', 'aaaa'), true)
+      assert.deepEqual(matches('a{2,4}', 'aaaaa'), false)
+      assert.deepEqual(matches('a{0}', ''), true)
+      assert.deepEqual(matches('(ab){1,2}', 'abab'), true)
+    })
+
+    it('character classes', () => {
+      assert.deepEqual(matches('[abc]', 'b'), true)
+      assert.deepEqual(matches('[abc]', 'd'), false)
+      assert.deepEqual(matches('[a-cx]+', 'abcxcba'), true)
+      assert.deepEqual(matches('[a-cx]+', 'abcd'), false)
+      assert.deepEqual(matches('[-a]', '-'), true)
+      assert.deepEqual(matches('[a-]', '-'), true)
+      assert.deepEqual(matches('[.]', '.'), true)
+      assert.deepEqual(matches('[.]', 'a'), false)
+      assert.deepEqual(matches('[\\]]', ']'), true)
+      assert.deepEqual(matches('[\\d_]+', '1_2'), true)
+      assert.deepEqual(matches('[\\--0]', '.'), true)
+      assert.deepEqual(matches('[\\u0061-\\u0063]', 'b'), true)
+      assert.deepEqual(matches('[\\u0061-\\u0063]', 'd'), false)
+    })
+
+    it('splits character classes into charsets', () => {
+      const split = parse('[a-z]+|m|[x-z0-9]')
+      assert.deepEqual(split.alphabet.map(symbol => symbol.toString()), [
+        '[0-9]', '[a-ln-w]', 'm', '[x-z]', 'Symbol(ANYTHING_ELSE)'
+      ])
+      assert.deepEqual(split.accepts(['q', 'm', 'z']), true)
+      assert.deepEqual(split.accepts(['5']), true)
+      assert.deepEqual(split.accepts(['5', '5']), false)
+      assert.deepEqual(parse('[b]').alphabet, ['b', ANYTHING_ELSE])
+    })
+
+    it('large character classes', () => {
+      const bmp = parse('[\\u0000-\\uffff]')
+      assert.deepEqual(bmp.alphabet.length, 2)
+      assert.deepEqual(bmp.accepts(['\u1234']), true)
+      assert.deepEqual(bmp.accepts(['\u{10000}']), false)
+      assert.deepEqual(parse('[^\\u0100-\\u01ff\\u0000-\\u00ff]').accepts(['\u0200']), true)
+    })
+
+    it('negated character classes', () => {
+      assert.deepEqual(matches('[^abc]', 'a'), false)
+      assert.deepEqual(matches('[^abc]', 'd'), true)
+      assert.deepEqual(matches('[^abc]', 'z'), true)
+      assert.deepEqual(matches('[^abc]x', 'xx'), true)
+      assert.deepEqual(matches('[^\\d]', '5'), false)
+      assert.deepEqual(matches('[^\\D]', '5'), true)
+      assert.deepEqual(matches('[^\\D]', 'x'), false)
+    })
+
+    it('empty character classes', () => {
+      assert.deepEqual(matches('a[]', 'a'), false)
+      assert.deepEqual(matches('a[]|b', 'b'), true)
+      assert.deepEqual(matches('[^]', 'z'), true)
+      assert.deepEqual(matches('[^]', ''), false)
+    })
+
+    it('shorthand classes', () => {
+      assert.deepEqual(matches('\\d+', '0123456789'), true)
+      assert.deepEqual(matches('\\d', 'a'), false)
+      assert.deepEqual(matches('\\D', 'a'), true)
+      assert.deepEqual(matches('\\D', '1'), false)
+      assert.deepEqual(matches('\\w+', 'Az_9'), true)
+      assert.deepEqual(matches('\\w', '-'), false)
+      assert.deepEqual(matches('\\W', '-'), true)
+      assert.deepEqual(matches('\\s', ' '), true)
+      assert.deepEqual(matches('\\s', '\t'), true)
+      assert.deepEqual(matches('\\S', ' '), false)
+      assert.deepEqual(matches('[\\w\\s]+', 'hello world'), true)
+      assert.deepEqual(matches('[\\W\\S]', 'a'), true)
+      assert.deepEqual(matches('[\\W\\D]', 'a'), true)
+      assert.deepEqual(matches('[\\W\\D]', '1'), false)
+      assert.deepEqual(matches('[\\Wa]', 'a'), true)
+      assert.deepEqual(matches('[\\Wa]', 'b'), false)
+      assert.deepEqual(matches('[a\\W]', 'b'), false)
+      assert.deepEqual(matches('[a\\W]', '?'), true)
+    })
+
+    it('escapes', () => {
+      assert.deepEqual(matches('\\.', '.'), true)
+      assert.deepEqual(matches('\\.', 'a'), false)
+      assert.deepEqual(matches('\\(\\)\\*\\\\', '()*\\'), true)
+      assert.deepEqual(matches('\\n\\r\\t\\f\\v', '\n\r\t\f\v'), true)
+      assert.deepEqual(matches('\\u00e9', 'é'), true)
+      assert.deepEqual(matches('\\u{1F600}', '\u{1F600}'), true)
+      assert.deepEqual(matches('\\u{61}', 'a'), true)
+    })
+
+    it('symbols which are not single characters', () => {
+      const words = parse('\\q{foo}+|[\\q{b\\}r}\\q{\\\\}]')
+      assert.deepEqual(words.alphabet, ['\\', 'b}r', 'foo', ANYTHING_ELSE])
+      assert.deepEqual(words.accepts(['foo', 'foo']), true)
+      assert.deepEqual(words.accepts(['b}r']), true)
+      assert.deepEqual(words.accepts(['\\']), true)
+      assert.deepEqual(words.accepts(['f', 'o', 'o']), false)
+      assert.deepEqual(parse('\\q{}').accepts(['']), true)
+    })
+
+    it('symbols named after inherited properties', () => {
+      const words = parse('\\q{constructor}|\\q{toString}+', { alphabet: ['valueOf'] })
+      assert.deepEqual(words.alphabet, ['constructor', 'toString', 'valueOf', ANYTHING_ELSE])
+      assert.deepEqual(words.accepts(['constructor']), true)
+      assert.deepEqual(words.accepts(['toString', 'toString']), true)
+      assert.deepEqual(words.accepts(['valueOf']), false)
+      assert.throws(
+        () => parse('a', { alphabet: ['__proto__'] }),
+        Error('`__proto__` cannot be used as a symbol')
+      )
+    })
+
+    it('uses code points as symbols', () => {
+      assert.deepEqual(matches('\u{1F600}+', '\u{1F600}\u{1F600}'), true)
+    })
+
+    describe('reports syntax errors', () => {
+      const fails = (pattern, message, position) => {
+        assert.throws(() => parse(pattern), error =>
+          error instanceof SyntaxError &&
+          error.message === message + ' at position ' + String(position) &&
+          error.position === position
+        )
+      }
+
+      it('brackets', () => {
+        fails('a(b', 'Missing )', 3)
+        fails('a)b', 'Unmatched )', 1)
+        fails('[ab', 'Missing ]', 3)
+        fails('a]', 'Unmatched ]', 1)
+        fails('a}', 'Unmatched }', 1)
+        fails('(?=a)', 'Unsupported group', 1)
+      })
+
+      it('quantifiers', () => {
+        fails('*', 'Nothing to repeat', 0)
+        fails('a|+', 'Nothing to repeat', 2)
+        fails('a**', 'Nothing to repeat', 2)
+        fails('a+?', 'Nothing to repeat', 2)
+        fails('a{', 'Invalid quantifier', 2)
+        fails('a{x}', 'Invalid quantifier', 2)
+        fails('a{1', 'Invalid quantifier', 3)
+        fails('a{1,2', 'Invalid quantifier', 5)
+        fails('a{3,2}', 'Numbers out of order in quantifier', 1)
+      })
+
+      it('ranges', () => {
+        fails('[z-a]', 'Range out of order', 1)
+        fails('[\\d-z]', 'Invalid range', 1)
+        fails('[a-\\d]', 'Invalid range', 1)
+        fails('[\\D-z]', 'Invalid range', 1)
+        fails('[a-\\D]', 'Invalid range', 1)
+        fails('[\\q{ab}-z]', 'Invalid range', 1)
+      })
+
+      it('escapes', () => {
+        fails('a\\', 'Incomplete escape', 2)
+        fails('\\z', 'Unknown escape \\z', 1)
+        fails('\\q', 'Invalid \\q escape', 2)
+        fails('\\q{ab', 'Missing }', 5)
+        fails('\\q{ab\\', 'Missing }', 6)
+        fails('a\\q{__proto__}', '`__proto__` cannot be used as a symbol', 1)
+        fails('\\u12', 'Invalid Unicode escape', 4)
+        fails('\\uxyz', 'Invalid Unicode escape', 2)
+        fails('\\u{}', 'Invalid Unicode escape', 3)
+        fails('\\u{61', 'Invalid Unicode escape', 5)
+        fails('\\u{1234567}', 'Invalid Unicode escape', 9)
+        fails('\\u{110000}', 'Invalid Unicode escape', 10)
+      })
+
+      it('anchors', () => {
+        fails('^a', 'Unsupported anchor ^', 0)
+        fails('a$', 'Unsupported anchor $', 1)
+      })
+    })
+  })
+
+  describe('toRegex', () => {
+    // The result, parsed again, should accept exactly the same strings
+    const roundTrip = (machine, expected) => {
+      const regex = toRegex(machine)
+      assert.deepEqual(regex, expected)
+      assert.deepEqual(equivalent(parse(regex, { alphabet: machine.alphabet }), machine).result, true)
+    }
+
+    it('A', () => {
+      roundTrip(a, 'a')
+    })
+
+    it('nothing', () => {
+      roundTrip(nothing(['a']), '[]')
+    })
+
+    it('epsilon', () => {
+      roundTrip(epsilon(['a']), '')
+    })
+
+    it('simple patterns', () => {
+      roundTrip(parse('ab|cd'), 'ab|cd')
+      roundTrip(parse('a*'), 'a*')
+      roundTrip(parse('(ab)*'), '(ab)*')
+      roundTrip(parse('(ab)+c'), '(ab)+c')
+      roundTrip(parse('a+'), 'a+')
+      roundTrip(parse('a?'), 'a?')
+      roundTrip(parse('(ab)?'), '(ab)?')
+      roundTrip(parse('a{2,4}'), 'aa(aa?)?')
+      roundTrip(parse('(a|bc)?d'), 'd|(a|bc)d')
+      roundTrip(parse('(b*ab)*'), '((a|b+a)b)*')
+    })
+
+    it('character classes', () => {
+      roundTrip(parse('[a-z]+'), '[a-z]+')
+      roundTrip(parse('[abdf-h]'), '[abdf-h]')
+      roundTrip(parse('[^abc]'), '[^a-c]')
+      roundTrip(parse('.*'), '.*')
+      roundTrip(parse('a|.'), '.')
+      roundTrip(parse('\\d+(\\.\\d+)?'), '[0-9]+(\\.[0-9]+)?')
+      roundTrip(parse('[\\]\\-\\[\\^\\\\]'), '[\\-\\[-\\^]')
+      roundTrip(parse('[\\]\\-]+'), '[\\-\\]]+')
+    })
+
+    it('(a|b)*a(a|b)', () => {
+      roundTrip(parse('(a|b)*a(a|b)'), 'b*a((b|a+b)(a|b+a))*(b|a+|a+b)')
+    })
+
+    it('makes intersections readable', () => {
+      const alphabet = ['a', 'b', ANYTHING_ELSE]
+      roundTrip(
+        intersection([parse('a.*', { alphabet }), parse('.*b', { alphabet })]),
+        'a[^b]*b(b|[^b]+b)*'
+      )
+    })
+
+    it('makes complements readable', () => {
+      roundTrip(
+        everythingBut(parse('abc')),
+        '(ab?|([^a]|a([^b]|b([^c]|c.))).*)?'
+      )
+    })
+
+    it('star', () => {
+      roundTrip(star(union([star(a), b])), '[ab]*')
+      roundTrip(star(concatenate([star(a), star(b)])), '[ab]*')
+    })
+
+    it('escapes special characters', () => {
+      roundTrip(parse('\\(\\)\\*\\+\\?\\.\\|\\^\\$\\[\\]\\{\\}\\\\'), '\\(\\)\\*\\+\\?\\.\\|\\^\\$\\[\\]\\{\\}\\\\')
+      roundTrip(parse('\\n\\r\\t\\f\\v'), '\\n\\r\\t\\f\\v')
+      roundTrip(parse('\\u0000\\u007f-/'), '\\u0000\\u007F-/')
+    })
+
+    it('escapes symbols which are not single characters', () => {
+      const words = fsm(
+        ['foo', 'b}r', '\\', ''],
+        ['0', '1'],
+        ['1'],
+        {
+          0: { foo: '1', 'b}r': '1' },
+          1: { '\\': '0', '': '1' }
+        }
+      )
+      roundTrip(words, '[\\q{foo}\\q{b\\}r}](\\q{}|\\\\[\\q{foo}\\q{b\\}r}])*')
+    })
+
+    it('handles ANYTHING_ELSE', () => {
+      const any = fsm(
+        [ANYTHING_ELSE],
+        ['0', '1'],
+        ['1'],
+        {
+          0: { [ANYTHING_ELSE]: '1' }
+        }
+      )
+      roundTrip(any, '.')
+    })
+
+    it('writes charsets as character classes', () => {
+      const lower = charset([['a', 'z']])
+      const digit = charset([['0', '9']])
+      const identifiers = fsm(
+        [lower, digit, '_', 'ab', ANYTHING_ELSE],
+        ['0', '1', '2'],
+        ['1'],
+        {
+          0: { [lower]: '1', _: '1', ab: '1', [ANYTHING_ELSE]: '2' },
+          1: { [lower]: '1', [digit]: '1', _: '1' },
+          2: { [lower]: '1' }
+        }
+      )
+      const regex = toRegex(identifiers)
+      assert.deepEqual(regex, '([_a-z\\q{ab}]|[^0-9_a-z\\q{ab}][a-z])[0-9_a-z]*')
+      assert.deepEqual(equivalent(parse(regex), identifiers).result, true)
+
+      const single = fsm([lower], ['0', '1'], ['1'], { 0: { [lower]: '1' } })
+      assert.deepEqual(toRegex(single), '[a-z]')
+      const xy = charset(['x', 'y'])
+      const pair = fsm([xy], ['0', '1'], ['1'], { 0: { [xy]: '1' } })
+      assert.deepEqual(toRegex(pair), '[xy]')
+    })
+
+    it('rejects symbols it cannot express', () => {
+      assert.throws(() => toRegex(fsm([Symbol('x')], ['0'], [], {})))
+    })
+  })
+
+  describe('toJSON', () => {
+    it('works', () => {
+      assert.deepEqual(a.toJSON(), {
+        version: 1,
+        alphabet: ['a', 'b'],
+        states: ['0', '1', 'ob'],
+        initial: '0',
+        finals: ['1'],
+        map: [
+          ['0', 'a', '1'],
+          ['0', 'b', 'ob'],
+          ['1', 'a', 'ob'],
+          ['1', 'b', 'ob'],
+          ['ob', 'a', 'ob'],
+          ['ob', 'b', 'ob']
+        ]
+      })
+    })
+
+    it('encodes special symbols and sparse maps', () => {
+      const blockquote = fsm(
+        ['/', '*', ANYTHING_ELSE],
+        ['0', '1', '2', '3', '4'],
+        ['4'],
+        {
+          0: { '/': '1' },
+          1: { '*': '2' },
+          2: { '/': '2', [ANYTHING_ELSE]: '2', '*': '3' },
+          3: { '/': '4', [ANYTHING_ELSE]: '2', '*': '3' }
+        }
+      )
+      assert.deepEqual(JSON.parse(JSON.stringify(blockquote)), {
+        version: 1,
+        alphabet: ['/', '*', { special: 'ANYTHING_ELSE' }],
+        states: ['0', '1', '2', '3', '4'],
+        initial: '0',
+        finals: ['4'],
+        map: [
+          ['0', '/', '1'],
+          ['1', '*', '2'],
+          ['2', '/', '2'],
+          ['2', '*', '3'],
+          ['2', { special: 'ANYTHING_ELSE' }, '2'],
+          ['3', '/', '4'],
+          ['3', '*', '3'],
+          ['3', { special: 'ANYTHING_ELSE' }, '2']
+        ]
+      })
+    })
+
+    it('encodes charsets as ranges of code points', () => {
+      const word = charset([['a', 'z'], '_'])
+      const words = fsm([word], ['0', '1'], ['1'], { 0: { [word]: '1' }, 1: { [word]: '1' } })
+      assert.deepEqual(JSON.parse(JSON.stringify(words)), {
+        version: 1,
+        alphabet: [{ charset: [[95, 95], [97, 122]] }],
+        states: ['0', '1'],
+        initial: '0',
+        finals: ['1'],
+        map: [
+          ['0', { charset: [[95, 95], [97, 122]] }, '1'],
+          ['1', { charset: [[95, 95], [97, 122]] }, '1']
+        ]
+      })
+    })
+
+    it('rejects symbols it cannot serialise', () => {
+      assert.throws(() => fsm([Symbol('x')], ['0'], [], {}).toJSON())
+    })
+  })
+
+  describe('fromJSON', () => {
+    it('round trips', () => {
+      const blockquote = fsm(
+        ['/', '*', ANYTHING_ELSE],
+        ['0', '1', '2', '3', '4'],
+        ['4'],
+        {
+          0: { '/': '1' },
+          1: { '*': '2' },
+          2: { '/': '2', [ANYTHING_ELSE]: '2', '*': '3' },
+          3: { '/': '4', [ANYTHING_ELSE]: '2', '*': '3' }
+        }
+      )
+      const loaded = fromJSON(JSON.stringify(blockquote))
+      assert.deepEqual(loaded.alphabet, blockquote.alphabet)
+      assert.deepEqual(loaded.states, blockquote.states)
+      assert.deepEqual(loaded.finals, blockquote.finals)
+      assert.deepEqual(loaded.map, blockquote.map)
+      assert.deepEqual(loaded.accepts(['/', '*', 'whatever', '*', '/']), true)
+      assert.deepEqual(loaded.toJSON(), blockquote.toJSON())
+    })
+
+    it('round trips crawled FSMs', () => {
+      const crawled = star(concatenate([a, b]))
+      const loaded = fromJSON(crawled.toJSON())
+      assert.deepEqual(loaded.accepts(['a', 'b', 'a', 'b']), true)
+      assert.deepEqual(loaded.accepts(['a', 'b', 'a']), false)
+      assert.deepEqual(equivalent(loaded, crawled).result, true)
+    })
+
+    it('puts the initial state first', () => {
+      const loaded = fromJSON({
+        version: 1,
+        alphabet: ['a'],
+        states: ['x', 'y'],
+        initial: 'y',
+        finals: ['x'],
+        map: [['y', 'a', 'x']]
+      })
+      assert.deepEqual(loaded.states, ['y', 'x'])
+      assert.deepEqual(loaded.accepts(['a']), true)
+    })
+
+    it('decodes OBLIVION_STATE', () => {
+      const loaded = fromJSON({
+        version: 1,
+        alphabet: ['a'],
+        states: ['0', { special: 'OBLIVION_STATE' }],
+        initial: '0',
+        finals: [],
+        map: []
+      })
+      assert.deepEqual(loaded.states, ['0', OBLIVION_STATE])
+    })
+
+    describe('rejects invalid data', () => {
+      const valid = {
+        version: 1,
+        alphabet: ['a'],
+        states: ['0', '1'],
+        initial: '0',
+        finals: ['1'],
+        map: [['0', 'a', '1']]
+      }
+
+      it('accepts the valid data', () => {
+        assert.deepEqual(fromJSON(valid).accepts(['a']), true)
+      })
+
+      it('not an object', () => {
+        assert.throws(() => fromJSON('null'), /must be an object/)
+        assert.throws(() => fromJSON(7), /must be an object/)
+      })
+
+      it('wrong version', () => {
+        assert.throws(() => fromJSON({ ...valid, version: 2 }), /Unsupported FSM data version 2, expected 1/)
+        assert.throws(() => fromJSON({ ...valid, version: undefined }), /Unsupported FSM data version/)
+      })
+
+      it('missing arrays', () => {
+        assert.throws(() => fromJSON({ ...valid, alphabet: undefined }), /`alphabet`/)
+        assert.throws(() => fromJSON({ ...valid, states: 'ab' }), /`states`/)
+        assert.throws(() => fromJSON({ ...valid, finals: {} }), /`finals`/)
+        assert.throws(() => fromJSON({ ...valid, map: {} }), /`map`/)
+      })
+
+      it('bad values', () => {
+        assert.throws(() => fromJSON({ ...valid, alphabet: [7] }), /Cannot deserialise 7/)
+        assert.throws(() => fromJSON({ ...valid, alphabet: [null] }), /Cannot deserialise null/)
+        assert.throws(() => fromJSON({ ...valid, alphabet: [{ special: 'NOTHING' }] }), /Cannot deserialise/)
+        assert.throws(() => fromJSON({ ...valid, alphabet: [{ special: 'toString' }] }), /Cannot deserialise/)
+      })
+
+      it('bad initial state', () => {
+        assert.throws(() => fromJSON({ ...valid, initial: '2' }), /Initial state 2 must be one of the states/)
+      })
+
+      it('bad final state', () => {
+        assert.throws(() => fromJSON({ ...valid, finals: ['2'] }))
+      })
+
+      it('bad transitions', () => {
+        assert.throws(() => fromJSON({ ...valid, map: [['0', 'a']] }), /\[state, symbol, next\]/)
+        assert.throws(() => fromJSON({ ...valid, map: ['0a1'] }), /\[state, symbol, next\]/)
+        assert.throws(() => fromJSON({ ...valid, map: [['2', 'a', '1']] }), /Transition from 2/)
+        assert.throws(() => fromJSON({ ...valid, map: [['0', 'b', '1']] }), /Transition for symbol b/)
+        assert.throws(() => fromJSON({ ...valid, map: [['0', 'a', '2']] }), /not a state/)
+        assert.throws(() => fromJSON({ ...valid, map: [['0', 'a', '1'], ['0', 'a', '0']] }), /Duplicate transition for state 0 and symbol a/)
+      })
+
+      it('bad charsets', () => {
+        const bad = charset => ({ ...valid, alphabet: [{ charset }], map: [] })
+        assert.deepEqual(fromJSON(bad([[0, 0x10FFFF]])).accepts(['\u{10FFFF}']), false)
+        assert.throws(() => fromJSON(bad('a-z')), /Cannot deserialise/)
+        assert.throws(() => fromJSON(bad([[97]])), /Cannot deserialise/)
+        assert.throws(() => fromJSON(bad([[122, 97]])), /Cannot deserialise/)
+        assert.throws(() => fromJSON(bad([[-1, 97]])), /Cannot deserialise/)
+        assert.throws(() => fromJSON(bad([[0, 0x110000]])), /Cannot deserialise/)
+        assert.throws(() => fromJSON(bad([[0.5, 97]])), /Cannot deserialise/)
+        assert.throws(() => fromJSON(bad([97, 122])), /Cannot deserialise/)
+      })
+
+      it('hostile property names', () => {
+        const polluted = {
+          version: 1,
+          alphabet: ['polluted'],
+          states: ['0', '__proto__'],
+          initial: '0',
+          finals: [],
+          map: [['__proto__', 'polluted', '0']]
+        }
+        assert.throws(() => fromJSON(polluted), /`__proto__` cannot be used as a state or symbol/)
+        assert.throws(() => fromJSON({ ...polluted, alphabet: ['__proto__'], states: ['0'], map: [] }), /`__proto__`/)
+        assert.deepEqual('polluted' in Object.prototype, false)
+        assert.deepEqual(Object.getOwnPropertyNames(Object.prototype).includes('polluted'), false)
+      })
+    })
+
+    it('round trips charsets', () => {
+      const word = charset([['a', 'z'], '_'])
+      const digit = charset([['0', '9']])
+      const words = fsm(
+        [word, digit, ANYTHING_ELSE],
+        ['0', '1'],
+        ['1'],
+        { 0: { [word]: '1' }, 1: { [word]: '1', [digit]: '1' } }
+      )
+      const loaded = fromJSON(JSON.stringify(words))
+      assert.deepEqual(loaded.alphabet.map(symbol => symbol.toString()), ['[_a-z]', '[0-9]', 'Symbol(ANYTHING_ELSE)'])
+      assert.deepEqual(loaded.alphabet.slice(0, 2).every(isCharset), true)
+      assert.deepEqual(loaded.accepts(['x', '_', '7']), true)
+      assert.deepEqual(loaded.accepts(['7']), false)
+      assert.deepEqual(equivalent(loaded, words).result, true)
+      assert.deepEqual(loaded.toJSON(), words.toJSON())
+    })
+
+    it('handles states and symbols named after inherited properties', () => {
+      const loaded = fromJSON({
+        version: 1,
+        alphabet: ['name', 'toString', 'constructor'],
+        states: ['constructor', 'toString'],
+        initial: 'constructor',
+        finals: ['toString'],
+        map: [
+          ['constructor', 'name', 'toString'],
+          ['constructor', 'toString', 'toString'],
+          ['toString', 'constructor', 'constructor']
+        ]
+      })
+      assert.deepEqual(loaded.accepts(['name']), true)
+      assert.deepEqual(loaded.accepts(['toString', 'constructor', 'name']), true)
+      assert.deepEqual(loaded.follow('constructor', 'constructor'), OBLIVION_STATE)
+      assert.deepEqual(loaded.follow('toString', 'name'), OBLIVION_STATE)
+      assert.deepEqual(Object.getPrototypeOf(loaded.map), Object.prototype)
+      assert.deepEqual(loaded.toJSON().map, [
+        ['constructor', 'name', 'toString'],
+        ['constructor', 'toString', 'toString'],
+        ['toString', 'constructor', 'constructor']
+      ])
+      const gen = loaded.strings()
+      assert.deepEqual(gen.next().value, ['name'])
+      assert.deepEqual(gen.next().value, ['toString'])
+      assert.deepEqual(gen.next().value, ['name', 'constructor', 'name'])
+      assert.deepEqual(isEmpty(loaded), { result: false, witness: ['name'] })
+      assert.deepEqual(loaded.start().isDead(), false)
+      assert.deepEqual(reversed(loaded).accepts(['name', 'constructor', 'toString']), true)
+      assert.deepEqual(countByLength(loaded, 3), 4n)
+
+      const dead = fsm(['a', 'b'], ['constructor', 'toString'], ['constructor'], {
+        constructor: { a: 'toString' },
+        toString: { b: 'toString' }
+      })
+      assert.deepEqual(dead.start().isDead(), false)
+      assert.deepEqual(dead.start().feed('a').isDead(), true)
+      assert.deepEqual(Array.from(dead.strings()), [[]])
+    })
+  })
+
+  describe('toDot', () => {
+    it('merges parallel edges', () => {
+      assert.deepEqual(toDot(a), [
+        'digraph {\n',
+        '  rankdir=LR\n',
+        '  node [shape=circle]\n',
+        '  start [shape=point]\n',
+        '  s0 [label="0"]\n',
+        '  s1 [label="1" shape=doublecircle]\n',
+        '  s2 [label="ob"]\n',
+        '  start -> s0\n',
+        '  s0 -> s1 [label="a"]\n',
+        '  s0 -> s2 [label="b"]\n',
+        '  s1 -> s2 [label="a, b"]\n',
+        '  s2 -> s2 [label="a, b"]\n',
+        '}\n'
+      ].join(''))
+    })
+
+    it('only draws the oblivion state if asked to', () => {
+      const abstar = fsm(['a', 'b'], ['0', '1'], ['1'], { 0: { a: '1' }, 1: { b: '1' } })
+      assert.deepEqual(toDot(abstar), [
+        'digraph {\n',
+        '  rankdir=LR\n',
+        '  node [shape=circle]\n',
+        '  start [shape=point]\n',
+        '  s0 [label="0"]\n',
+        '  s1 [label="1" shape=doublecircle]\n',
+        '  start -> s0\n',
+        '  s0 -> s1 [label="a"]\n',
+        '  s1 -> s1 [label="b"]\n',
+        '}\n'
+      ].join(''))
+      assert.deepEqual(toDot(abstar, { showOblivion: true }), [
+        'digraph {\n',
+        '  rankdir=LR\n',
+        '  node [shape=circle]\n',
+        '  start [shape=point]\n',
+        '  s0 [label="0"]\n',
+        '  s1 [label="1" shape=doublecircle]\n',
+        '  oblivion [label="oblivion"]\n',
+        '  start -> s0\n',
+        '  s0 -> s1 [label="a"]\n',
+        '  s0 -> oblivion [label="b"]\n',
+        '  s1 -> oblivion [label="a"]\n',
+        '  s1 -> s1 [label="b"]\n',
+        '  oblivion -> oblivion [label="a, b"]\n',
+        '}\n'
+      ].join(''))
+      assert.deepEqual(toDot(a, { showOblivion: true }), toDot(a))
+    })
+
+    it('labels ANYTHING_ELSE by what it excludes', () => {
+      const m = fsm(
+        ['a', 'b', ANYTHING_ELSE],
+        ['0', '1'],
+        ['1'],
+        {
+          0: { a: '1', b: '0', [ANYTHING_ELSE]: '0' },
+          1: { a: '1', b: '1', [ANYTHING_ELSE]: '1' }
+        }
+      )
+      assert.deepEqual(toDot(m), [
+        'digraph {\n',
+        '  rankdir=LR\n',
+        '  node [shape=circle]\n',
+        '  start [shape=point]\n',
+        '  s0 [label="0"]\n',
+        '  s1 [label="1" shape=doublecircle]\n',
+        '  start -> s0\n',
+        '  s0 -> s1 [label="a"]\n',
+        '  s0 -> s0 [label="anything except a"]\n',
+        '  s1 -> s1 [label="anything"]\n',
+        '}\n'
+      ].join(''))
+    })
+
+    it('quotes labels', () => {
+      const m = fsm(['"', '\\', '\n'], ['say "hi"', Symbol('done')], [], { 'say "hi"': { '"': 'say "hi"', '\\': 'say "hi"', '\n': 'say "hi"' } })
+      assert.deepEqual(toDot(m), [
+        'digraph {\n',
+        '  rankdir=LR\n',
+        '  node [shape=circle]\n',
+        '  start [shape=point]\n',
+        '  s0 [label="say \\"hi\\""]\n',
+        '  s1 [label="done"]\n',
+        '  start -> s0\n',
+        '  s0 -> s0 [label="\\", \\\\, \\n"]\n',
+        '}\n'
+      ].join(''))
+    })
+  })
+
+  describe('toMermaid', () => {
+    it('works', () => {
+      assert.deepEqual(toMermaid(a), [
+        'flowchart LR\n',
+        '  start(( ))\n',
+        '  s0(("0"))\n',
+        '  s1((("1")))\n',
+        '  s2(("ob"))\n',
+        '  start --> s0\n',
+        '  s0 -->|"a"| s1\n',
+        '  s0 -->|"b"| s2\n',
+        '  s1 -->|"a, b"| s2\n',
+        '  s2 -->|"a, b"| s2\n'
+      ].join(''))
+    })
+
+    it('draws the oblivion state if asked to', () => {
+      const any = fsm([ANYTHING_ELSE], ['0', '1'], ['1'], { 0: { [ANYTHING_ELSE]: '1' } })
+      assert.deepEqual(toMermaid(any, { showOblivion: true }), [
+        'flowchart LR\n',
+        '  start(( ))\n',
+        '  s0(("0"))\n',
+        '  s1((("1")))\n',
+        '  oblivion(("oblivion"))\n',
+        '  start --> s0\n',
+        '  s0 -->|"anything"| s1\n',
+        '  s1 -->|"anything"| oblivion\n',
+        '  oblivion -->|"anything"| oblivion\n'
+      ].join(''))
+    })
+
+    it('quotes labels', () => {
+      const m = fsm(['"', '\n'], ['say "hi"'], ['say "hi"'], { 'say "hi"': { '"': 'say "hi"', '\n': 'say "hi"' } })
+      assert.deepEqual(toMermaid(m), [
+        'flowchart LR\n',
+        '  start(( ))\n',
+        '  s0((("say #quot;hi#quot;")))\n',
+        '  start --> s0\n',
+        '  s0 -->|"#quot;, <br>"| s0\n'
+      ].join(''))
+    })
+  })
+
+  describe('crawl', () => {
+    it('counts modulo 3', () => {
+      const mod3 = crawl(['a'], 0, state => state === 0, state => (state + 1) % 3)
+      assert.deepEqual(mod3.states, ['0', '1', '2'])
+      assert.deepEqual(mod3.finals, ['0'])
+      assert.deepEqual(mod3.map, { 0: { a: '1' }, 1: { a: '2' }, 2: { a: '0' } })
+    })
+
+    it('tells Symbols apart', () => {
+      const x = Symbol('x')
+      const y = Symbol('y')
+      const xy = crawl(['a'], x, state => state === y, state => state === x ? y : x)
+      assert.deepEqual(xy.states, ['0', '1'])
+      assert.deepEqual(xy.accepts(['a']), true)
+      assert.deepEqual(xy.accepts(['a', 'a']), false)
+
+      const nested = crawl(['a'], [x], state => state[0] === y, state => state[0] === x ? [y] : [x])
+      assert.deepEqual(nested.states, ['0', '1'])
+    })
+
+    it('compares arrays and plain objects by content', () => {
+      const counter = crawl(
+        ['a', 'b'],
+        { count: 0, tags: [] },
+        state => state.count === 2,
+        (state, symbol) => state.count === 2
+          ? OBLIVION_STATE
+          : symbol === 'a'
+            ? { tags: [], count: state.count + 1 }
+            : Object.assign(Object.create(null), { count: state.count + 1, tags: [] })
+      )
+      assert.deepEqual(counter.states, ['0', '1', '2'])
+      assert.deepEqual(counter.map, { 0: { a: '1', b: '1' }, 1: { a: '2', b: '2' }, 2: {} })
+    })
+
+    it('compares other objects by identity', () => {
+      const x = new Map()
+      const y = new Map()
+      const maps = crawl(['a', 'b'], x, state => state === y, (state, symbol) => symbol === 'a' ? y : Math.max)
+      assert.deepEqual(maps.states, ['0', '1', '2'])
+      assert.deepEqual(maps.map, { 0: { a: '1', b: '2' }, 1: { a: '1', b: '2' }, 2: { a: '1', b: '2' } })
+
+      const fsms = crawl(['a'], [a, '0'], state => state[0] === b, state => [state[0] === a ? b : a, '0'])
+      assert.deepEqual(fsms.states, ['0', '1'])
+    })
+
+    it('accepts a key function', () => {
+      // States are numbers, but only their parity matters
+      const parity = crawl(['a'], 0, state => state % 2 === 0, state => state + 1, state => state % 2)
+      assert.deepEqual(parity.states, ['0', '1'])
+      assert.deepEqual(parity.finals, ['0'])
+      assert.deepEqual(parity.map, { 0: { a: '1' }, 1: { a: '0' } })
+    })
+
+    it('intersects many FSMs', () => {
+      // Each FSM requires some symbol to appear an even number of times
+      const alphabet = Array(24).fill().map((_, i) => String(i))
+      const evens = alphabet.map(symbol => {
+        const map = { even: {}, odd: {} }
+        alphabet.forEach(other => {
+          map.even[other] = other === symbol ? 'odd' : 'even'
+          map.odd[other] = other === symbol ? 'even' : 'odd'
+        })
+        return fsm(alphabet, ['even', 'odd'], ['even'], map)
+      })
+      const allEven = intersection(evens.slice(0, 10))
+      assert.deepEqual(allEven.states.length, 1024)
+      assert.deepEqual(allEven.accepts(['0', '1', '1', '0']), true)
+      assert.deepEqual(allEven.accepts(['0', '1', '1']), false)
+    })
+  })
+
+  describe('nfa', () => {
+    // Strings whose third-to-last symbol is 'a'
+    let thirdLast
+    beforeEach(() => {
+      thirdLast = nfa(
+        ['a', 'b'],
+        ['0', '1', '2', '3'],
+        ['0'],
+        ['3'],
+        {
+          0: { a: ['0', '1'], b: '0' },
+          1: { a: '2', b: '2' },
+          2: { a: '3', b: '3' }
+        }
+      )
+    })
+
+    it('handles symbols named after inherited properties', () => {
+      const machine = nfa(['constructor', 'toString'], ['0', '1'], ['0'], ['1'], {
+        0: { constructor: ['1'] },
+        1: { toString: ['0', '1'] }
+      })
+      assert.deepEqual(machine.accepts(['constructor', 'toString']), true)
+      assert.deepEqual(machine.determinise().accepts(['constructor', 'toString', 'toString']), true)
+    })
+
+    describe('rejects invalid inputs', () => {
+      it('rejects if alphabet has dupes', () => {
+        assert.throws(() => nfa(['a', 'a'], ['1'], [], [], {}), Error('Duplicate alphabet symbol a'))
+      })
+
+      it('rejects EPSILON in the alphabet', () => {
+        assert.throws(() => nfa([EPSILON], ['1'], [], [], {}), Error('EPSILON cannot be an alphabet symbol'))
+      })
+
+      it('rejects if initial isn\'t a state', () => {
+        assert.throws(() => nfa([], ['1'], ['2'], [], {}), Error('Initial state 2 must be one of 1'))
+      })
+
+      it('rejects if final isn\'t a state', () => {
+        assert.throws(() => nfa([], ['1'], [], ['2'], {}), Error('Final state 2 must be one of 1'))
+      })
+
+      it('rejects invalid transitions', () => {
+        assert.throws(() => nfa(['a'], ['1'], [], [], { 1: { a: ['1', '2'] } }),
+          Error('Transition for state 1 and symbol a leads to 2, which is not a state'))
+        assert.throws(() => nfa(['a'], ['1'], [], [], { 1: { [EPSILON]: '2' } }),
+          Error('Transition for state 1 and symbol Symbol(EPSILON) leads to 2, which is not a state'))
+      })
+    })
+
+    it('accepts by simulation', () => {
+      assert.deepEqual(thirdLast.accepts([]), false)
+      assert.deepEqual(thirdLast.accepts(['a', 'b', 'b']), true)
+      assert.deepEqual(thirdLast.accepts(['b', 'a', 'a', 'b', 'a']), true)
+      assert.deepEqual(thirdLast.accepts(['a', 'b', 'b', 'b']), false)
+      assert.throws(() => thirdLast.accepts(['c']), Error('Unrecognised symbol c'))
+    })
+
+    it('determinises', () => {
+      const dfa = thirdLast.determinise()
+      assert.deepEqual(dfa.states.length, 8)
+      assert.deepEqual(reduce(dfa).states.length, 8)
+      assert.deepEqual(dfa.accepts(['a', 'b', 'b']), true)
+      assert.deepEqual(dfa.accepts(['a', 'b', 'b', 'b']), false)
+      assert.deepEqual(equivalent(dfa, parse('[ab]*a[ab][ab]')).result, true)
+    })
+
+    it('follows epsilon transitions, including loops', () => {
+      // ab*|c, with some redundant epsilons
+      const abc = nfa(
+        ['a', 'b', 'c'],
+        ['start', 'x', 'y', 'z', 'end'],
+        ['start'],
+        ['end'],
+        {
+          start: { [EPSILON]: ['x', 'z'] },
+          x: { a: 'y' },
+          y: { b: 'y', [EPSILON]: 'end' },
+          z: { c: 'end' },
+          end: { [EPSILON]: 'y' }
+        }
+      )
+      assert.deepEqual(abc.closure(['start']), ['start', 'x', 'z'])
+      assert.deepEqual(abc.closure(['end']), ['y', 'end'])
+      assert.deepEqual(abc.follow(['start', 'x', 'z'], 'c'), ['y', 'end'])
+      assert.deepEqual(abc.accepts([]), false)
+      assert.deepEqual(abc.accepts(['a', 'b', 'b']), true)
+      assert.deepEqual(abc.accepts(['c', 'b']), true)
+      assert.deepEqual(abc.accepts(['b']), false)
+      assert.deepEqual(equivalent(abc.determinise(), parse('ab*|cb*')).result, true)
+    })
+
+    it('has several initial states, or none', () => {
+      const either = nfa(['a', 'b'], ['A', 'B'], ['A', 'B'], ['A', 'B'], { A: { a: 'A' }, B: { b: 'B' } })
+      assert.deepEqual(either.accepts([]), true)
+      assert.deepEqual(either.accepts(['a', 'a']), true)
+      assert.deepEqual(either.accepts(['a', 'b']), false)
+      assert.deepEqual(equivalent(either.determinise(), parse('a*|b*')).result, true)
+
+      const none = nfa(['a'], ['A'], [], ['A'], { A: { a: 'A' } })
+      assert.deepEqual(none.accepts([]), false)
+      assert.deepEqual(isEmpty(none.determinise()).result, true)
+    })
+
+    it('supports ANYTHING_ELSE', () => {
+      const notA = nfa(['a', ANYTHING_ELSE], ['0', '1'], ['0'], ['1'], { 0: { [ANYTHING_ELSE]: '1' } })
+      assert.deepEqual(notA.accepts(['a']), false)
+      assert.deepEqual(notA.accepts(['z']), true)
+      assert.deepEqual(notA.determinise().accepts(['z']), true)
+    })
+  })
+
+  describe('start', () => {
+    // Alternating 'a's and 'b's, beginning with 'a'
+    let ab
+    beforeEach(() => {
+      ab = parse('(ab)*a?', { alphabet: ['b'] })
+    })
+
+    it('feeds symbols one at a time', () => {
+      const cursor = ab.start()
+      assert.deepEqual(cursor.state, ab.states[0])
+      assert.deepEqual(cursor.isAccepting(), true)
+      assert.deepEqual(cursor.feed('a').isAccepting(), true)
+      assert.deepEqual(cursor.feed('b').feed('a').isAccepting(), true)
+      assert.deepEqual(cursor.isDead(), false)
+      assert.deepEqual(cursor.feed('a').isAccepting(), false)
+      assert.deepEqual(cursor.state, OBLIVION_STATE)
+      assert.deepEqual(cursor.isDead(), true)
+      assert.deepEqual(cursor.feed('b').isDead(), true)
+      assert.throws(() => a.start().feed('c'), Error('Unrecognised symbol c'))
+    })
+
+    it('knows when no final state can be reached', () => {
+      const cursor = a.start().feed('b')
+      assert.deepEqual(cursor.state, 'ob')
+      assert.deepEqual(cursor.isAccepting(), false)
+      assert.deepEqual(cursor.isDead(), true)
+    })
+
+    it('feeds iterables', () => {
+      assert.deepEqual(ab.start().feedAll('abab').isAccepting(), true)
+      assert.deepEqual(ab.start().feedAll(new Set(['a', 'b'])).feedAll([]).isAccepting(), true)
+      assert.deepEqual(ab.start().feedAll(['b']).isAccepting(), false)
+    })
+
+    it('clones', () => {
+      const cursor = ab.start().feed('a')
+      const clone = cursor.clone()
+      cursor.feed('a')
+      assert.deepEqual(cursor.isDead(), true)
+      assert.deepEqual(clone.isDead(), false)
+      assert.deepEqual(clone.feed('b').isAccepting(), true)
+    })
+
+    it('feeds async iterables', async () => {
+      const cursor = ab.start()
+      assert.deepEqual(await cursor.feedAllAsync(Readable.from(['a', 'b', 'a'])), cursor)
+      assert.deepEqual(cursor.isAccepting(), true)
+
+      const symbols = async function * () {
+        yield 'a'
+        yield 'a'
+      }
+      assert.deepEqual((await ab.start().feedAllAsync(symbols())).isDead(), true)
+      await assert.rejects(a.start().feedAllAsync(Readable.from(['a', 'c'])), Error('Unrecognised symbol c'))
+    })
+  })
+
+  describe('findAll', () => {
+    it('finds leftmost-longest matches', () => {
+      assert.deepEqual(findAll(parse('ab*'), 'xabbaxab'), [
+        { start: 1, end: 4 },
+        { start: 4, end: 5 },
+        { start: 6, end: 8 }
+      ])
+      assert.deepEqual(findAll(parse('aa|aaaa'), 'aaaaaaa'), [
+        { start: 0, end: 4 },
+        { start: 4, end: 6 }
+      ])
+      assert.deepEqual(findAll(parse('ab*'), 'xyz'), [])
+      assert.deepEqual(findAll(parse('ab*'), ''), [])
+    })
+
+    it('finds shortest matches', () => {
+      assert.deepEqual(findAll(parse('ab*'), 'xabbaxab', { longest: false }), [
+        { start: 1, end: 2 },
+        { start: 4, end: 5 },
+        { start: 6, end: 7 }
+      ])
+    })
+
+    it('finds overlapping matches', () => {
+      assert.deepEqual(findAll(parse('ab*'), 'abba', { overlapping: true }), [
+        { start: 0, end: 3 },
+        { start: 3, end: 4 }
+      ])
+      assert.deepEqual(findAll(parse('a[ab]'), 'aaab', { overlapping: true }), [
+        { start: 0, end: 2 },
+        { start: 1, end: 3 },
+        { start: 2, end: 4 }
+      ])
+    })
+
+    it('finds empty matches', () => {
+      assert.deepEqual(findAll(parse('a*'), 'baab'), [
+        { start: 0, end: 0 },
+        { start: 1, end: 3 },
+        { start: 3, end: 3 },
+        { start: 4, end: 4 }
+      ])
+      assert.deepEqual(findAll(epsilon(['a']), ['a']), [
+        { start: 0, end: 0 },
+        { start: 1, end: 1 }
+      ])
+      assert.deepEqual(findAll(nothing(['a']), ['a']), [])
+    })
+
+    it('skips unrecognised symbols', () => {
+      assert.deepEqual(findAll(a, ['a', 'c', 'a']), [
+        { start: 0, end: 1 },
+        { start: 2, end: 3 }
+      ])
+    })
+
+    it('agrees with accepts', () => {
+      const patterns = ['a', 'ab*', 'a*b', '(ab|b)*a', 'a[ab]{2}', 'b?', '(aa)*|bab']
+      const inputs = ['', 'a', 'ab', 'abab', 'aabbbaab', 'bbaababaaab', 'babbabaaa']
+      patterns.forEach(pattern => {
+        const machine = parse(pattern)
+        inputs.forEach(input => {
+          input = Array.from(input)
+          const longest = []
+          const shortest = []
+          for (let start = 0; start <= input.length; start++) {
+            const ends = []
+            for (let end = start; end <= input.length; end++) {
+              if (machine.accepts(input.slice(start, end))) {
+                ends.push(end)
+              }
+            }
+            if (ends.length > 0) {
+              longest.push({ start, end: ends[ends.length - 1] })
+              shortest.push({ start, end: ends[0] })
+            }
+          }
+          assert.deepEqual(findAll(machine, input, { overlapping: true }), longest)
+          assert.deepEqual(findAll(machine, input, { overlapping: true, longest: false }), shortest)
+        })
+      })
+    })
+  })
+
+  describe('findFirst', () => {
+    it('finds the leftmost match', () => {
+      assert.deepEqual(findFirst(parse('ab*'), 'xabbab'), { start: 1, end: 4 })
+      assert.deepEqual(findFirst(parse('ab*'), 'xabbab', { longest: false }), { start: 1, end: 2 })
+      assert.deepEqual(findFirst(parse('ab*'), 'xbb'), null)
+    })
+
+    it('agrees with findAll', () => {
+      const patterns = ['ab*', 'a*', '(ab|a)(bc)?', 'b|abc', '']
+      const inputs = ['', 'xabbab', 'aabcab', 'cbab', 'abcabc']
+      patterns.forEach(pattern => {
+        inputs.forEach(input => {
+          [true, false].forEach(longest => {
+            const spans = findAll(parse(pattern), input, { longest })
+            assert.deepEqual(findFirst(parse(pattern), input, { longest }), spans.length === 0 ? null : spans[0])
+          })
+        })
+      })
+      assert.deepEqual(findFirst(nothing(['a']), 'aaa'), null)
+    })
+
+    it('stops reading once the match is settled', () => {
+      let read
+      const input = function * (symbols) {
+        read = 0
+        for (const symbol of symbols) {
+          read++
+          yield symbol
+        }
+      }
+      assert.deepEqual(findFirst(parse('ab+'), input('xabbxab')), { start: 1, end: 4 })
+      assert.deepEqual(read, 5)
+      assert.deepEqual(findFirst(parse('ab+'), input('xabbxab'), { longest: false }), { start: 1, end: 3 })
+      assert.deepEqual(read, 3)
+      assert.deepEqual(findFirst(parse('b|abc'), input('abd')), { start: 1, end: 2 })
+      assert.deepEqual(read, 3)
+      assert.deepEqual(findFirst(parse('ab+'), input('xab')), { start: 1, end: 3 })
+      assert.deepEqual(read, 3)
+    })
+  })
+
+  describe('lexer', () => {
+    let lex
+    beforeEach(() => {
+      lex = lexer([
+        { name: 'if', fsm: parse('if') },
+        { name: 'identifier', fsm: parse('[a-z]+') },
+        { name: 'number', fsm: parse('[0-9]+') },
+        { name: 'assign', fsm: parse('=') },
+        { name: 'equals', fsm: parse('==') },
+        { name: 'space', fsm: parse(' +') }
+      ])
+    })
+
+    it('tokenizes strings', () => {
+      assert.deepEqual(lex.tokenize('if iffy==10'), [
+        { name: 'if', start: 0, end: 2, value: 'if' },
+        { name: 'space', start: 2, end: 3, value: ' ' },
+        { name: 'identifier', start: 3, end: 7, value: 'iffy' },
+        { name: 'equals', start: 7, end: 9, value: '==' },
+        { name: 'number', start: 9, end: 11, value: '10' }
+      ])
+      assert.deepEqual(lex.tokenize(''), [])
+    })
+
+    it('tokenizes arrays', () => {
+      assert.deepEqual(lex.tokenize(['x', '=', '=', '=', '1']), [
+        { name: 'identifier', start: 0, end: 1, value: ['x'] },
+        { name: 'equals', start: 1, end: 3, value: ['=', '='] },
+        { name: 'assign', start: 3, end: 4, value: ['='] },
+        { name: 'number', start: 4, end: 5, value: ['1'] }
+      ])
+    })
+
+    it('lets earlier rules win ties', () => {
+      const reversed = lexer([
+        { name: 'identifier', fsm: parse('[a-z]+') },
+        { name: 'if', fsm: parse('if') }
+      ])
+      assert.deepEqual(reversed.tokenize('if').map(token => token.name), ['identifier'])
+    })
+
+    it('shares one product FSM', () => {
+      assert.deepEqual(equivalent(lex.fsm, union(lex.rules.map(rule => rule.fsm))).result, true)
+    })
+
+    it('rejects input which no rule matches', () => {
+      assert.throws(() => lex.tokenize('x = 1!'), {
+        name: 'SyntaxError',
+        message: 'No token matches at position 5',
+        position: 5
+      })
+      assert.throws(() => lexer([{ name: 'a', fsm: a }]).tokenize(['a', 'c']), {
+        message: 'No token matches at position 1'
+      })
+    })
+
+    it('rejects empty tokens', () => {
+      const empty = lexer([{ name: 'as', fsm: parse('a*') }])
+      assert.deepEqual(empty.tokenize('aa').length, 1)
+      assert.throws(() => empty.tokenize('aab'), {
+        message: 'No token matches at position 2'
+      })
+    })
+  })
+
+  describe('transducer', () => {
+    // Run-length encoding of 'a's, up to 3: 'aab' becomes '2b'
+    let rle
+    // Moore machine which reports the parity of 'a's seen so far
+    let parity
+    beforeEach(() => {
+      rle = transducer(
+        ['a', 'b'],
+        ['1', '2', '3', 'b'],
+        ['0', '1', '2', '3'],
+        ['0'],
+        {
+          0: { a: { next: '1', output: [] }, b: { next: '0', output: ['b'] } },
+          1: { a: { next: '2', output: [] }, b: { next: '0', output: ['1', 'b'] } },
+          2: { a: { next: '3', output: [] }, b: { next: '0', output: ['2', 'b'] } },
+          3: { b: { next: '0', output: ['3', 'b'] } }
+        }
+      )
+
+      parity = transducer(
+        ['1', '2', '3', 'b'],
+        ['e', 'o'],
+        ['even', 'odd'],
+        ['even', 'odd'],
+        {
+          even: { 1: { next: 'odd', output: [] }, 3: { next: 'odd', output: [] }, 2: { next: 'even', output: [] }, b: { next: 'even', output: [] } },
+          odd: { 1: { next: 'even', output: [] }, 3: { next: 'even', output: [] }, 2: { next: 'odd', output: [] }, b: { next: 'odd', output: [] } }
+        },
+        { even: ['e'], odd: ['o'] }
+      )
+    })
+
+    describe('rejects invalid inputs', () => {
+      it('rejects if alphabet has dupes', () => {
+        assert.throws(() => transducer(['a', 'a'], [], ['0'], [], {}), Error('Duplicate alphabet symbol a'))
+      })
+
+      it('rejects if final isn\'t a state', () => {
+        assert.throws(() => transducer([], [], ['0'], ['1'], {}), Error('Final state 1 must be one of 0'))
+      })
+
+      it('rejects invalid transitions', () => {
+        assert.throws(() => transducer(['a'], [], ['0'], [], { 0: { a: { next: '1', output: [] } } }),
+          Error('Transition for state 0 and symbol a leads to 1, which is not a state'))
+        assert.throws(() => transducer(['a'], [], ['0'], [], { 0: { a: { next: '0', output: 'x' } } }),
+          Error('Output for state 0 and symbol a must be an array'))
+        assert.throws(() => transducer(['a'], ['x'], ['0'], [], { 0: { a: { next: '0', output: ['y'] } } }),
+          Error('Output for state 0 and symbol a includes y, which is not in the output alphabet'))
+      })
+
+      it('rejects invalid state outputs', () => {
+        assert.throws(() => transducer([], ['x'], ['0'], [], {}, { 1: ['x'] }),
+          Error('State output for 1, which is not a state'))
+        assert.throws(() => transducer([], ['x'], ['0'], [], {}, { 0: ['y'] }),
+          Error('Output for state 0 includes y, which is not in the output alphabet'))
+      })
+    })
+
+    it('transduces with Mealy outputs', () => {
+      assert.deepEqual(rle.transduce([]), [])
+      assert.deepEqual(rle.transduce(['a', 'a', 'b', 'b', 'a', 'b']), ['2', 'b', 'b', '1', 'b'])
+      assert.deepEqual(rle.transduce(['a', 'a', 'a', 'a', 'b']), null)
+      assert.deepEqual(rle.transduce(['a']), null)
+      assert.throws(() => rle.transduce(['c']), Error('Unrecognised symbol c'))
+    })
+
+    it('transduces with Moore outputs', () => {
+      assert.deepEqual(parity.transduce([]), ['e'])
+      assert.deepEqual(parity.transduce(['2', 'b', '1']), ['e', 'e', 'e', 'o'])
+    })
+
+    it('supports ANYTHING_ELSE', () => {
+      const censor = transducer(
+        ['x', ANYTHING_ELSE],
+        ['x', '*'],
+        ['0'],
+        ['0'],
+        { 0: { x: { next: '0', output: ['x'] }, [ANYTHING_ELSE]: { next: '0', output: ['*'] } } }
+      )
+      assert.deepEqual(censor.transduce(['x', 'y', 'z']), ['x', '*', '*'])
+    })
+
+    it('projects onto its input', () => {
+      const input = rle.inputFsm()
+      assert.deepEqual(input.states, rle.states)
+      assert.deepEqual(equivalent(input, parse('(a{0,3}b)*', { alphabet: ['a', 'b'] })).result, true)
+    })
+
+    it('projects onto its output', () => {
+      const output = rle.outputFsm()
+      assert.deepEqual(output.alphabet, ['1', '2', '3', 'b'])
+      assert.deepEqual(equivalent(output, star(parse('[123]?b'))).result, true)
+      assert.deepEqual(equivalent(parity.outputFsm(), parse('e[eo]*')).result, true)
+    })
+
+    it('follows charsets', () => {
+      const lower = charset([['a', 'z']])
+      const letters = transducer([lower], ['L'], ['0'], ['0'], {
+        0: { [lower]: { next: '0', output: ['L'] } }
+      })
+      assert.deepEqual(letters.transduce(Array.from('abc')), ['L', 'L', 'L'])
+      assert.throws(() => letters.transduce(['A']), Error('Unrecognised symbol A'))
+
+      const odds = compose(rle, identityTransducer(parse('[13b]*')))
+      assert.deepEqual(odds.transduce(['a', 'b']).map(symbol => symbol.toString()), ['[13b]', '[13b]'])
+      assert.deepEqual(odds.transduce(['a', 'a', 'b']), null)
+    })
+
+    it('handles symbols named after inherited properties', () => {
+      const machine = transducer(['toString'], ['constructor'], ['0', '1'], ['1'], {
+        0: { toString: { next: '1', output: ['constructor', 'constructor'] } }
+      })
+      assert.deepEqual(machine.transduce(['toString']), ['constructor', 'constructor'])
+      assert.deepEqual(machine.outputFsm().accepts(['constructor', 'constructor']), true)
+
+      const states = transducer(['a'], ['x'], ['constructor', 'toString'], ['toString'], {
+        constructor: { a: { next: 'toString', output: ['x'] } }
+      }, { toString: ['x'] })
+      assert.deepEqual(states.transduce(['a']), ['x', 'x'])
+    })
+
+    it('wraps FSMs', () => {
+      const identity = identityTransducer(a)
+      assert.deepEqual(identity.transduce(['a']), ['a'])
+      assert.deepEqual(identity.transduce(['b']), null)
+      assert.deepEqual(equivalent(identity.inputFsm(), a).result, true)
+      assert.deepEqual(equivalent(identity.outputFsm(), a).result, true)
+    })
+
+    it('composes', () => {
+      const both = compose(rle, parity)
+      assert.deepEqual(both.alphabet, rle.alphabet)
+      assert.deepEqual(both.outputAlphabet, parity.outputAlphabet)
+      assert.deepEqual(both.transduce([]), ['e'])
+      assert.deepEqual(both.transduce(['a', 'b', 'a', 'a', 'b']), ['e', 'o', 'o', 'o', 'o'])
+      assert.deepEqual(both.transduce(['a', 'a', 'a', 'b']), ['e', 'o', 'o'])
+      assert.deepEqual(both.transduce(['a']), null)
+
+      const noTwos = compose(rle, identityTransducer(parse('(1|3|b)*', { alphabet: ['2'] })))
+      assert.deepEqual(noTwos.transduce(['a', 'b', 'a', 'a', 'a', 'b']), ['1', 'b', '3', 'b'])
+      assert.deepEqual(noTwos.transduce(['a', 'a', 'b']), null)
+    })
+
+    it('composes start outputs', () => {
+      // Emits 'a' at the start, then copies 'b's
+      const hello = transducer(
+        ['b'],
+        ['a', 'b'],
+        ['0', '1'],
+        ['0', '1'],
+        { 0: { b: { next: '1', output: ['b'] } }, 1: { b: { next: '1', output: ['b'] } } },
+        { 0: ['a'] }
+      )
+      const upper = transducer(
+        ['a', 'b'],
+        ['A', 'B', '!'],
+        ['start', 'rest'],
+        ['rest'],
+        { start: { a: { next: 'rest', output: ['A'] } }, rest: { b: { next: 'rest', output: ['B'] } } },
+        { start: ['!'] }
+      )
+      const both = compose(hello, upper)
+      assert.deepEqual(both.transduce([]), ['!', 'A'])
+      assert.deepEqual(both.transduce(['b', 'b']), ['!', 'A', 'B', 'B'])
+
+      // Here the second transducer can't handle the first one's start output
+      const never = compose(upper, hello)
+      assert.deepEqual(never.states, ['0'])
+      assert.deepEqual(never.transduce([]), null)
+      assert.deepEqual(never.transduce(['a']), null)
+    })
+  })
+
+  describe('charset', () => {
+    it('rejects invalid items', () => {
+      assert.throws(() => charset(['ab']), Error('Invalid charset item ab'))
+      assert.throws(() => charset([['a']]), Error('Invalid charset item a'))
+      assert.throws(() => charset([['a', 7]]), Error('Invalid charset item a,7'))
+      assert.throws(() => charset([['z', 'a']]), Error('Charset range z-a is out of order'))
+    })
+
+    it('contains characters', () => {
+      const set = charset([['a', 'c'], 'x', ['\u{1F600}', '\u{1F64F}']])
+      assert.deepEqual(set.has('a'), true)
+      assert.deepEqual(set.has('b'), true)
+      assert.deepEqual(set.has('d'), false)
+      assert.deepEqual(set.has('x'), true)
+      assert.deepEqual(set.has('\u{1F642}'), true)
+      assert.deepEqual(set.has('\u{1F650}'), false)
+      assert.deepEqual(set.has('ab'), false)
+      assert.deepEqual(set.has(ANYTHING_ELSE), false)
+      assert.deepEqual(isCharset(set), true)
+      assert.deepEqual(isCharset('a'), false)
+      assert.deepEqual(isCharset({ ranges: [] }), false)
+    })
+
+    it('is canonical', () => {
+      assert.deepEqual(charset(['c', ['a', 'b'], 'e', 'd']).toString(), '[a-e]')
+      assert.deepEqual(charset(['c', ['a', 'b'], 'e', 'd']).ranges, [[97, 101]])
+      assert.deepEqual(charset(['-', ']', '\n', ['0', '9'], ['4', '5']]).toString(), '[\\n\\-0-9\\]]')
+      assert.deepEqual(charset([]).toString(), '[]')
+    })
+
+    it('forms a Boolean algebra', () => {
+      const ac = charset([['a', 'c']])
+      const bd = charset([['b', 'd']])
+      assert.deepEqual(ac.union(bd).toString(), '[a-d]')
+      assert.deepEqual(ac.intersection(bd).toString(), '[b-c]')
+      assert.deepEqual(ac.difference(bd).toString(), '[a]')
+      assert.deepEqual(ac.complement().toString(), '[\\u0000-`d-\u{10FFFF}]')
+      assert.deepEqual(ac.complement().complement().toString(), '[a-c]')
+      assert.deepEqual(charset([]).complement().complement().toString(), '[]')
+      assert.deepEqual(ac.intersection(charset(['x'])).isEmpty(), true)
+      assert.deepEqual(ac.isEmpty(), false)
+      assert.deepEqual(charset(['b']).isSubsetOf(ac), true)
+      assert.deepEqual(bd.isSubsetOf(ac), false)
+    })
+
+    it('is made from predicates', () => {
+      const upper = charsetWhere(char => /^\p{Lu}$/u.test(char))
+      assert.deepEqual(upper.has('A'), true)
+      assert.deepEqual(upper.has('É'), true)
+      assert.deepEqual(upper.has('a'), false)
+      assert.deepEqual(upper.intersection(charset([['\u0000', '\u007F']])).toString(), '[A-Z]')
+    })
+
+    describe('in alphabets', () => {
+      let lower
+      let digit
+      let identifier
+      beforeEach(() => {
+        lower = charset([['a', 'z']])
+        digit = charset([['0', '9']])
+
+        // [a-z][a-z0-9]*
+        identifier = fsm(
+          [lower, digit],
+          ['0', '1'],
+          ['1'],
+          {
+            0: { [lower]: '1' },
+            1: { [lower]: '1', [digit]: '1' }
+          }
+        )
+      })
+
+      it('are keyed apart from strings', () => {
+        const abc = charset([['a', 'c']])
+        const either = fsm([abc, '[a-c]'], ['0', '1'], ['1'], {
+          0: { [abc]: '1', '[a-c]': '1' }
+        })
+        assert.deepEqual(either.accepts(['b']), true)
+        assert.deepEqual(either.accepts(['[a-c]']), true)
+        assert.deepEqual(either.follow('0', charset([['a', 'c']])), '1')
+
+        const both = union([
+          fsm([abc], ['0', '1'], ['1'], { 0: { [charset(['c', 'b', 'a'])]: '1' } }),
+          parse('\\q{[a-c]}')
+        ])
+        assert.deepEqual(both.accepts(['b']), true)
+        assert.deepEqual(both.accepts(['[a-c]']), true)
+        assert.deepEqual(both.accepts(['d']), false)
+      })
+
+      it('follows characters and charsets', () => {
+        assert.deepEqual(identifier.accepts([]), false)
+        assert.deepEqual(identifier.accepts(Array.from('abc123')), true)
+        assert.deepEqual(identifier.accepts(Array.from('1abc')), false)
+        assert.deepEqual(identifier.follow('0', charset(['q'])), '1')
+        assert.deepEqual(identifier.follow('0', charset([['a', 'z']])), '1')
+        assert.throws(() => identifier.accepts(['A']), Error('Unrecognised symbol A'))
+        assert.throws(() => identifier.accepts([charset([['a', 'b'], '1'])]), Error('Unrecognised symbol [1a-b]'))
+        assert.throws(() => identifier.accepts([charset([])]), Error('Unrecognised symbol []'))
+        assert.deepEqual(identifier.toString(), [
+          '  name final? [a-z] [0-9] \n',
+          '--------------------------\n',
+          '* 0    false  1           \n',
+          '  1    true   1     1     \n'
+        ].join(''))
+      })
+
+      it('falls back to ANYTHING_ELSE', () => {
+        const notDigit = fsm([digit, ANYTHING_ELSE], ['0', '1'], ['1'], { 0: { [ANYTHING_ELSE]: '1' } })
+        assert.deepEqual(notDigit.accepts(['x']), true)
+        assert.deepEqual(notDigit.accepts(['5']), false)
+      })
+
+      it('rejects overlapping symbols', () => {
+        assert.throws(() => fsm([lower, charset([['0', 'a']])], ['0'], [], {}), {
+          kind: 'overlappingSymbols',
+          message: 'Alphabet symbols [a-z] and [0-a] overlap'
+        })
+        assert.throws(() => fsm(['q', lower], ['0'], [], {}), {
+          kind: 'overlappingSymbols',
+          message: 'Alphabet symbols [a-z] and q overlap',
+          symbol: 'q'
+        })
+        assert.throws(() => fsm([lower, charset([['a', 'z']])], ['0'], [], {}), {
+          kind: 'duplicateSymbol',
+          message: 'Duplicate alphabet symbol [a-z]'
+        })
+        fsm([lower, 'A', 'ab', ANYTHING_ELSE], ['0'], [], {})
+      })
+
+      it('refines partitions when combining FSMs', () => {
+        // [a-f0-9]+
+        const hex = charset([['a', 'f'], ['0', '9']])
+        const hexes = fsm([hex], ['0', '1'], ['1'], { 0: { [hex]: '1' }, 1: { [hex]: '1' } })
+
+        const both = intersection([identifier, hexes])
+        assert.deepEqual(both.alphabet.map(symbol => symbol.toString()), ['[0-9]', '[a-f]', '[g-z]'])
+        assert.deepEqual(both.accepts(Array.from('cafe01')), true)
+        assert.deepEqual(both.accepts(Array.from('coffee')), false)
+        assert.deepEqual(both.accepts(Array.from('0cafe')), false)
+
+        const either = union([identifier, hexes])
+        assert.deepEqual(either.accepts(Array.from('0cafe')), true)
+        assert.deepEqual(either.accepts(Array.from('coffee')), true)
+        assert.deepEqual(either.accepts(Array.from('0coffee')), false)
+
+        const pairs = concatenate([identifier, hexes])
+        assert.deepEqual(pairs.accepts(Array.from('x1')), true)
+        assert.deepEqual(pairs.accepts(Array.from('x')), false)
+        assert.deepEqual(star(hexes).accepts(Array.from('')), true)
+      })
+
+      it('refines partitions against single characters', () => {
+        const letterQ = fsm(['q'], ['0', '1'], ['1'], { 0: { q: '1' } })
+        const both = intersection([identifier, letterQ])
+        assert.deepEqual(both.alphabet.map(symbol => symbol.toString()), ['[0-9]', '[a-pr-z]', '[q]'])
+        assert.deepEqual(both.accepts(['q']), true)
+        assert.deepEqual(both.accepts(['r']), false)
+        assert.deepEqual(both.accepts(['q', 'q']), false)
+
+        // Characters which no charset contains are left alone
+        const letterA = fsm(['A'], ['0', '1'], ['1'], { 0: { A: '1' } })
+        assert.deepEqual(union([identifier, letterA]).alphabet.map(symbol => symbol.toString()), ['[a-z]', '[0-9]', 'A'])
+      })
+
+      it('refines partitions when crawling', () => {
+        const vowel = charset(['a', 'e', 'i', 'o', 'u'])
+        const parity = crawl(
+          [lower, vowel],
+          0,
+          state => state === 0,
+          (state, symbol) => symbol.isSubsetOf(vowel) ? 1 - state : state
+        )
+        assert.deepEqual(parity.alphabet.map(symbol => symbol.toString()), ['[aeiou]', '[b-df-hj-np-tv-z]'])
+        assert.deepEqual(parity.accepts(Array.from('xyz')), true)
+        assert.deepEqual(parity.accepts(Array.from('cat')), false)
+        assert.deepEqual(parity.accepts(Array.from('house')), false)
+        assert.deepEqual(reduce(parity).alphabet, parity.alphabet)
+      })
+
+      it('finds matches', () => {
+        assert.deepEqual(findAll(identifier, ' x1 = y2+!'), [
+          { start: 1, end: 3 },
+          { start: 6, end: 8 }
+        ])
+      })
+    })
+  })
+
+  describe('seededRandom', () => {
+    it('is repeatable', () => {
+      const first = seededRandom(42)
+      const second = seededRandom(42)
+      const values = Array(5).fill().map(() => first())
+      assert.deepEqual(Array(5).fill().map(() => second()), values)
+      assert.notDeepEqual(Array(5).fill().map(seededRandom(43)), values)
+      values.forEach(value => {
+        assert.deepEqual(value >= 0 && value < 1, true)
+      })
+    })
+
+    it('rejects invalid seeds', () => {
+      assert.throws(() => seededRandom('42'), Error('Seed must be an integer, not 42'))
+    })
+  })
+
+  describe('sample', () => {
+    it('samples strings of the given length', () => {
+      const rng = seededRandom(1)
+      const abc = parse('a[bc]*', { alphabet: ['d'] })
+      for (let i = 0; i < 20; i++) {
+        const string = sample(abc, { length: 4, rng })
+        assert.deepEqual(string.length, 4)
+        assert.deepEqual(abc.accepts(string), true)
+      }
+      assert.deepEqual(sample(abc, { length: 0, rng }), null)
+      assert.deepEqual(sample(nothing(['a']), { length: 3, rng }), null)
+      assert.deepEqual(sample(epsilon(['a']), { length: 0 }), [])
+      assert.throws(() => sample(abc, {}), Error('Length must be a non-negative integer, not undefined'))
+    })
+
+    it('samples uniformly', () => {
+      // Of the strings of length 2, 'aa' is one of five
+      const ab = parse('aa|b(a|b|c|d)')
+      const rng = seededRandom(7)
+      const counts = {}
+      for (let i = 0; i < 1000; i++) {
+        const string = sample(ab, { length: 2, rng }).join('')
+        counts[string] = (counts[string] || 0) + 1
+      }
+      assert.deepEqual(Object.keys(counts).sort(), ['aa', 'ba', 'bb', 'bc', 'bd'])
+      Object.values(counts).forEach(count => {
+        assert.deepEqual(count > 150 && count < 250, true)
+      })
+    })
+
+    it('turns charsets and ANYTHING_ELSE into characters', () => {
+      const rng = seededRandom(2)
+      const ends = charset([['a', 'c'], ['x', 'z']])
+      const words = fsm(
+        ['q', 'foo', ends, ANYTHING_ELSE],
+        ['0', '1', '2'],
+        ['2'],
+        { 0: { foo: '1', [ANYTHING_ELSE]: '1' }, 1: { [ends]: '2' } }
+      )
+      const seen = new Set()
+      for (let i = 0; i < 50; i++) {
+        const [first, last] = sample(words, { length: 2, rng })
+        assert.deepEqual(typeof first, 'string')
+        assert.deepEqual(first === 'foo' || (Array.from(first).length === 1 && !/[a-cqx-z]|[\ud800-\udfff]/u.test(first)), true)
+        assert.deepEqual(ends.has(last), true)
+        assert.deepEqual(words.accepts([first, last]), true)
+        seen.add(last)
+      }
+      assert.deepEqual(seen.size, 6)
+
+      const raw = sample(parse('.'), { length: 1, rng, concretise: symbol => symbol })
+      assert.deepEqual(raw, [ANYTHING_ELSE])
+
+      const everything = charset([['\u0000', '\u{10FFFF}']])
+      const nowhere = fsm([everything, ANYTHING_ELSE], ['0', '1'], ['1'], { 0: { [ANYTHING_ELSE]: '1' } })
+      assert.throws(() => sample(nowhere, { length: 1, rng }), Error('ANYTHING_ELSE stands for no characters here'))
+    })
+
+    it('samples from huge languages', () => {
+      const string = sample(parse('[ab]*'), { length: 100, rng: seededRandom(3) })
+      assert.deepEqual(string.length, 100)
+      assert.deepEqual(string.includes('a') && string.includes('b'), true)
+    })
+  })
+
+  describe('sampleRejected', () => {
+    it('samples rejected strings of the given length', () => {
+      const rng = seededRandom(5)
+      for (let i = 0; i < 20; i++) {
+        const string = sampleRejected(a, { length: 1, rng })
+        assert.deepEqual(string, ['b'])
+      }
+      assert.deepEqual(sampleRejected(a, { length: 3, rng }).length, 3)
+      assert.deepEqual(sampleRejected(parse('.*'), { length: 3, rng }), null)
+
+      const abc = parse('abc')
+      for (let i = 0; i < 20; i++) {
+        const string = sampleRejected(abc, { length: 3, rng })
+        assert.deepEqual(string.every(char => typeof char === 'string' && Array.from(char).length === 1), true)
+        assert.deepEqual(abc.accepts(string), false)
+      }
+    })
+  })
+
+  describe('combining different alphabets', () => {
+    // Anything but 'x', then 'y'
+    let notXY
+    // Just 'x'
+    let x
+    beforeEach(() => {
+      notXY = fsm(
+        ['y', ANYTHING_ELSE],
+        ['0', '1', '2'],
+        ['2'],
+        {
+          0: { y: '1', [ANYTHING_ELSE]: '1' },
+          1: { y: '2' }
+        }
+      )
+      x = fsm(['x'], ['0', '1'], ['1'], { 0: { x: '1' } })
+    })
+
+    it('unifies alphabets', () => {
+      assert.deepEqual(unifyAlphabets([notXY.alphabet, x.alphabet]), ['y', ANYTHING_ELSE, 'x'])
+      assert.deepEqual(union([notXY, x]).alphabet, ['y', ANYTHING_ELSE, 'x'])
+      assert.deepEqual(concatenate([x, notXY]).alphabet, ['x', 'y', ANYTHING_ELSE])
+      assert.deepEqual(unifyAlphabets([]), [])
+    })
+
+    it('routes unknown symbols to ANYTHING_ELSE', () => {
+      const both = union([notXY, x])
+      assert.deepEqual(both.accepts(['x']), true)
+      assert.deepEqual(both.accepts(['x', 'y']), true)
+      assert.deepEqual(both.accepts(['z', 'y']), true)
+      assert.deepEqual(both.accepts(['y', 'y']), true)
+      assert.deepEqual(both.accepts(['x', 'x']), false)
+
+      assert.deepEqual(intersection([notXY, concatenate([x, parse('y')])]).accepts(['x', 'y']), true)
+      assert.deepEqual(isEmpty(intersection([notXY, x])).result, true)
+    })
+
+    it('concatenates', () => {
+      const xThenNotXY = concatenate([x, notXY])
+      assert.deepEqual(xThenNotXY.accepts(['x', 'x', 'y']), true)
+      assert.deepEqual(xThenNotXY.accepts(['x', 'z', 'y']), true)
+      assert.deepEqual(xThenNotXY.accepts(['x', 'x', 'x']), false)
+      assert.deepEqual(xThenNotXY.accepts(['z', 'z', 'y']), false)
+    })
+
+    it('takes complements', () => {
+      assert.deepEqual(difference([notXY, x]).accepts(['x', 'y']), true)
+      assert.deepEqual(difference([notXY, concatenate([x, parse('y')])]).accepts(['x', 'y']), false)
+      assert.deepEqual(symmetricDifference([notXY, x]).accepts(['x']), true)
+    })
+
+    it('combines parsed regular expressions', () => {
+      const both = intersection([parse('a.*'), parse('.*b')])
+      assert.deepEqual(both.accepts(Array.from('ab')), true)
+      assert.deepEqual(both.accepts(Array.from('axyzb')), true)
+      assert.deepEqual(both.accepts(Array.from('ba')), false)
+      assert.deepEqual(equivalent(both, parse('a.*b|a', { alphabet: ['b'] })).result, false)
+      assert.deepEqual(equivalent(both, parse('a.*b')).result, true)
+      assert.deepEqual(equivalent(union([parse('[^b]'), parse('b')]), parse('.')).result, true)
+    })
+  })
+
+  describe('repeat', () => {
+    // The old way of doing things
+    const naive = (fsm, min, max) => concatenate([
+      multiply(fsm, min),
+      max === Infinity
+        ? star(fsm)
+        : multiply(union([epsilon(fsm.alphabet), fsm]), max - min)
+    ])
+
+    it('repeats between min and max times', () => {
+      const aa = repeat(a, 2, 3)
+      assert.deepEqual(aa.accepts(['a']), false)
+      assert.deepEqual(aa.accepts(['a', 'a']), true)
+      assert.deepEqual(aa.accepts(['a', 'a', 'a']), true)
+      assert.deepEqual(aa.accepts(['a', 'a', 'a', 'a']), false)
+      assert.deepEqual(repeat(a, 2).accepts(['a', 'a', 'a']), false)
+      assert.deepEqual(repeat(a, 0, 0).accepts([]), true)
+      assert.deepEqual(repeat(a, 0, 0).accepts(['a']), false)
+    })
+
+    it('agrees with concatenate, union and star', () => {
+      const bodies = [a, union([a, b]), parse('ab|a'), parse('a*b?'), parse('(ba)*')]
+      const bounds = [[0, 0], [0, 1], [1, 1], [0, 3], [2, 4], [3, 3], [0, Infinity], [1, Infinity], [3, Infinity]]
+      bodies.forEach(body => {
+        bounds.forEach(([min, max]) => {
+          assert.deepEqual(equivalent(repeat(body, min, max), naive(body, min, max)).result, true)
+        })
+      })
+    })
+
+    it('builds small machines', () => {
+      assert.deepEqual(repeat(a, 0, 100).states.length, 101)
+      assert.deepEqual(repeat(a, 100, Infinity).states.length, 101)
+      // Since a*b? accepts the empty string, this is just (a*b?)*
+      assert.deepEqual(reduce(repeat(parse('a*b?'), 5, Infinity)).states.length, reduce(star(parse('a*b?'))).states.length)
+    })
+
+    it('rejects invalid bounds', () => {
+      assert.throws(() => repeat(a, -1, 2), Error('Minimum repetitions must be a non-negative integer, not -1'))
+      assert.throws(() => repeat(a, 1.5, 2), Error('Minimum repetitions must be a non-negative integer, not 1.5'))
+      assert.throws(() => repeat(a, Infinity), Error('Minimum repetitions must be a non-negative integer, not Infinity'))
+      assert.throws(() => repeat(a, 2, 1), Error('Maximum repetitions must be Infinity or an integer of at least 2, not 1'))
+      assert.throws(() => repeat(a, 2, '3'), Error('Maximum repetitions must be Infinity or an integer of at least 2, not 3'))
+    })
+  })
+
+  describe('plus', () => {
+    it('repeats one or more times', () => {
+      const as = plus(a)
+      assert.deepEqual(as.accepts([]), false)
+      assert.deepEqual(as.accepts(['a']), true)
+      assert.deepEqual(as.accepts(['a', 'a', 'a']), true)
+      assert.deepEqual(plus(epsilon(['a'])).accepts([]), true)
+      assert.deepEqual(equivalent(plus(parse('a*b')), parse('(a*b)+')).result, true)
+    })
+  })
+
+  describe('optional', () => {
+    it('repeats zero or one times', () => {
+      const maybe = optional(concatenate([a, b]))
+      assert.deepEqual(maybe.accepts([]), true)
+      assert.deepEqual(maybe.accepts(['a', 'b']), true)
+      assert.deepEqual(maybe.accepts(['a', 'b', 'a', 'b']), false)
+    })
+  })
+
+  describe('shuffle', () => {
+    const all = machine => [...machine.strings()].map(string => string.join(''))
+
+    it('interleaves strings', () => {
+      const abc = shuffle([parse('ab'), parse('c')])
+      assert.deepEqual(all(abc), ['abc', 'acb', 'cab'])
+      assert.deepEqual(abc.accepts(['c', 'b', 'a']), false)
+      assert.deepEqual(all(shuffle([parse('ab'), parse('ab')])), ['aabb', 'abab'])
+      assert.deepEqual(all(shuffle([a, b, parse('c?')])), ['ab', 'ba', 'abc', 'acb', 'bac', 'bca', 'cab', 'cba'])
+    })
+
+    it('handles infinite languages', () => {
+      // Interleaving a* with b gives all strings with exactly one b
+      const oneB = shuffle([parse('a*'), parse('b')])
+      assert.deepEqual(equivalent(oneB, parse('a*ba*')).result, true)
+    })
+
+    it('handles degenerate cases', () => {
+      assert.deepEqual(all(shuffle([])), [''])
+      assert.deepEqual(all(shuffle([a])), ['a'])
+      assert.deepEqual(isEmpty(shuffle([a, nothing(['a'])])).result, true)
+      assert.deepEqual(all(shuffle([a, epsilon(['b'])])), ['a'])
+    })
+
+    it('synchronises shared symbols', () => {
+      // 'b' is in both alphabets, so both FSMs must consume it together
+      const x = fsm(['a', 'b'], ['0', '1', '2'], ['2'], { 0: { a: '1' }, 1: { b: '2' } })
+      const y = fsm(['b', 'c'], ['0', '1', '2'], ['2'], { 0: { b: '1' }, 1: { c: '2' } })
+      assert.deepEqual(all(shuffle([x, y], { synchronised: true })), ['abc'])
+      assert.deepEqual(shuffle([x, y]).accepts(['a', 'b', 'b', 'c']), true)
+      assert.deepEqual(shuffle([x, y], { synchronised: true }).accepts(['a', 'b', 'b', 'c']), false)
+
+      // With no shared symbols, this is the same as the ordinary shuffle
+      const z = fsm(['c'], ['0', '1'], ['1'], { 0: { c: '1' } })
+      assert.deepEqual(all(shuffle([x, z], { synchronised: true })), all(shuffle([x, z])))
+
+      // A shared symbol which one FSM can't consume blocks the other
+      assert.deepEqual(isEmpty(shuffle([x, fsm(['b'], ['0'], ['0'], {})], { synchronised: true })).result, true)
+    })
+  })
+
+  describe('mapSymbols', () => {
+    const shape = symbol => isCharset(symbol) ? 'D' : symbol
+
+    it('renames symbols', () => {
+      const shapes = mapSymbols(parse('[0-9]+(\\.[0-9]+)?'), shape)
+      assert.deepEqual(equivalent(shapes, parse('D+(\\.D+)?')).result, true)
+      assert.deepEqual(shapes.accepts(['D', '.', 'D']), true)
+      assert.deepEqual(shapes.accepts(['D', '.']), false)
+
+      const letters = fsm(['a', 'b', 'c'], ['0', '1'], ['1'], { 0: { a: '1', b: '1' }, 1: { c: '1' } })
+      const collapsed = mapSymbols(letters, symbol => symbol === 'c' ? 'c' : 'x')
+      assert.deepEqual(collapsed.alphabet, ['x', 'c'])
+      assert.deepEqual([...collapsed.strings({ maxLength: 2 })], [['x'], ['x', 'c']])
+    })
+
+    it('maps symbols to strings', () => {
+      const doubled = mapSymbols(concatenate([a, b]), symbol => [symbol, symbol])
+      assert.deepEqual([...doubled.strings()], [['a', 'a', 'b', 'b']])
+
+      const erased = mapSymbols(concatenate([a, b]), symbol => symbol === 'a' ? [] : symbol)
+      assert.deepEqual([...erased.strings()], [['b']])
+      assert.deepEqual(erased.alphabet, ['b'])
+    })
+
+    it('preserves ANYTHING_ELSE', () => {
+      // Every digit becomes 'D', so nothing maps to 'x5'
+      const mixed = mapSymbols(parse('[0-9]+|x.'), shape)
+      assert.deepEqual(mixed.accepts(['x', 'D']), true)
+      assert.deepEqual(mixed.accepts(['x', 'y']), true)
+      assert.deepEqual(mixed.accepts(['x', '5']), false)
+      assert.deepEqual(mixed.accepts(['D', 'D']), true)
+
+      const numbers = mapSymbols(parse('[0-9]+'), shape)
+      assert.deepEqual(numbers.accepts(['x']), false)
+      assert.deepEqual(numbers.accepts(['5']), false)
+      assert.deepEqual(numbers.accepts(['D']), true)
+
+      assert.deepEqual(mapSymbols(parse('[^a]'), symbol => symbol).accepts(['z']), true)
+    })
+
+    it('calls fn for every symbol', () => {
+      const called = []
+      mapSymbols(parse('a'), symbol => {
+        called.push(symbol)
+        return symbol
+      })
+      assert.deepEqual(called, ['a', ANYTHING_ELSE])
+    })
+
+    it('keeps the meaning of ANYTHING_ELSE for new image symbols', () => {
+      const m = fsm(['0', ANYTHING_ELSE], ['s', 'm', 'f'], ['f'], {
+        s: { 0: 'm' },
+        m: { [ANYTHING_ELSE]: 'f' }
+      })
+      const mapped = mapSymbols(m, symbol => symbol === ANYTHING_ELSE ? ANYTHING_ELSE : 'D')
+      assert.deepEqual(mapped.accepts(['D', 'D']), true)
+      assert.deepEqual(mapped.accepts(['D', 'x']), true)
+      assert.deepEqual(mapped.accepts(['D', '0']), false)
+      assert.deepEqual(mapped.accepts(['0', 'D']), false)
+    })
+
+    it('refuses to change the meaning of ANYTHING_ELSE', () => {
+      assert.throws(
+        () => mapSymbols(parse('[^a]b'), symbol => symbol === ANYTHING_ELSE ? '?' : symbol),
+        Error('Cannot map ANYTHING_ELSE to ?, since it must keep its meaning')
+      )
+      assert.throws(
+        () => mapSymbols(parse('.'), symbol => []),
+        Error('Cannot map ANYTHING_ELSE to nothing, since it must keep its meaning')
+      )
+      assert.throws(
+        () => mapSymbols(parse('.'), symbol => [symbol, symbol]),
+        Error('Cannot map ANYTHING_ELSE to Symbol(ANYTHING_ELSE), Symbol(ANYTHING_ELSE), since it must keep its meaning')
+      )
+    })
+  })
+
+  describe('inverseMap', () => {
+    it('pulls languages back', () => {
+      // Strings over x and y where the number of xs is even, since each x
+      // becomes 'aa' and each y becomes nothing
+      const even = inverseMap(star(multiply(a, 2)), symbol => symbol === 'x' ? ['a', 'a'] : [], ['x', 'y'])
+      assert.deepEqual(even.alphabet, ['x', 'y'])
+      assert.deepEqual(even.accepts([]), true)
+      assert.deepEqual(even.accepts(['y', 'x', 'y']), true)
+      assert.deepEqual(even.accepts(['x', 'x']), true)
+
+      const ab = inverseMap(parse('(ab)*'), symbol => symbol === 'x' ? 'a' : 'b', ['x', 'y'])
+      assert.deepEqual(equivalent(ab, parse('(xy)*')).result, true)
+    })
+
+    it('defaults to the same alphabet', () => {
+      const swapped = inverseMap(concatenate([a, b]), symbol => symbol === 'a' ? 'b' : 'a')
+      assert.deepEqual([...swapped.strings()], [['b', 'a']])
+    })
+
+    it('uses ANYTHING_ELSE', () => {
+      const dot = inverseMap(parse('.'), symbol => symbol, ['x'])
+      assert.deepEqual(dot.accepts(['x']), true)
+      assert.deepEqual(isEmpty(inverseMap(a, () => 'c', ['x'])).result, true)
+    })
+  })
+
+  describe('restrict', () => {
+    it('restricts to a smaller alphabet', () => {
+      const abs = restrict(parse('[ab]*'), ['a'])
+      assert.deepEqual(abs.alphabet, ['a'])
+      assert.deepEqual(abs.accepts(['a', 'a']), true)
+      assert.throws(() => abs.accepts(['b']), Error('Unrecognised symbol b'))
+      assert.deepEqual(equivalent(abs, parse('a*')).result, true)
+      assert.deepEqual(isEmpty(restrict(b, ['a'])).result, true)
+    })
+
+    it('routes new symbols to ANYTHING_ELSE', () => {
+      const dot = restrict(parse('a.'), ['a', 'q'])
+      assert.deepEqual([...dot.strings()], [['a', 'a'], ['a', 'q']])
+    })
+
+    it('keeps ANYTHING_ELSE only if nothing else is removed', () => {
+      assert.deepEqual(restrict(parse('a|.'), ['a', ANYTHING_ELSE]).accepts(['z']), true)
+      assert.throws(() => restrict(parse('a|b|.'), ['a', ANYTHING_ELSE]), Error('Cannot remove b from an alphabet containing ANYTHING_ELSE'))
+    })
+  })
+
+  describe('extendAlphabet', () => {
+    it('adds symbols without changing the language', () => {
+      const ac = extendAlphabet(a, ['c'])
+      assert.deepEqual(ac.alphabet, ['a', 'b', 'c'])
+      assert.deepEqual(ac.accepts(['a']), true)
+      assert.deepEqual(ac.accepts(['c']), false)
+      assert.deepEqual(equivalent(ac, a).result, true)
+    })
+
+    it('routes new symbols to ANYTHING_ELSE', () => {
+      const dot = extendAlphabet(parse('.'), ['x'])
+      assert.deepEqual(dot.alphabet, [ANYTHING_ELSE, 'x'])
+      assert.deepEqual(dot.accepts(['x']), true)
+      assert.deepEqual(dot.accepts(['y']), true)
+    })
+  })
+
+  describe('leftQuotient', () => {
+    it('strips headers', () => {
+      const message = parse('HDR:[a-z]+')
+      assert.deepEqual(equivalent(leftQuotient(message, parse('HDR:')), parse('[a-z]+')).result, true)
+      assert.deepEqual(equivalent(leftQuotient(message, parse('HD|HDR:[a-z]')), parse('R:[a-z]+|[a-z]*')).result, true)
+    })
+
+    it('handles every prefix at once', () => {
+      const quotient = leftQuotient(parse('a*b'), parse('a*'))
+      assert.deepEqual(equivalent(quotient, parse('a*b')).result, true)
+      assert.deepEqual(equivalent(leftQuotient(parse('abc'), parse('.*')), parse('abc|bc|c|')).result, true)
+    })
+
+    it('handles epsilon and nothing', () => {
+      const ab = concatenate([a, b])
+      assert.deepEqual(equivalent(leftQuotient(ab, epsilon(['a'])), ab).result, true)
+      assert.deepEqual(isEmpty(leftQuotient(ab, nothing(['a']))).result, true)
+      assert.deepEqual(isEmpty(leftQuotient(ab, b)).result, true)
+    })
+
+    it('handles symbols the FSMs do not share', () => {
+      assert.deepEqual(isEmpty(leftQuotient(parse('ab'), parse('x'))).result, true)
+      const quotient = leftQuotient(parse('.b'), parse('x'))
+      assert.deepEqual(quotient.accepts(['b']), true)
+      assert.deepEqual(quotient.accepts(['x']), false)
+    })
+
+    it('composes with other combinators', () => {
+      const bodies = union([
+        leftQuotient(parse('GET /[a-z]+'), parse('GET ')),
+        leftQuotient(parse('PUT /[0-9]+'), parse('PUT '))
+      ])
+      assert.deepEqual(equivalent(bodies, parse('/([a-z]+|[0-9]+)')).result, true)
+    })
+  })
+
+  describe('rightQuotient', () => {
+    it('strips trailers', () => {
+      const message = parse('[a-z]+;END')
+      assert.deepEqual(equivalent(rightQuotient(message, parse(';END')), parse('[a-z]+')).result, true)
+      assert.deepEqual(equivalent(rightQuotient(message, parse('D|ND|;END')), parse('[a-z]+;EN|[a-z]+;E|[a-z]+')).result, true)
+    })
+
+    it('handles every suffix at once', () => {
+      assert.deepEqual(equivalent(rightQuotient(parse('ab*'), parse('b*')), parse('ab*')).result, true)
+      assert.deepEqual(equivalent(rightQuotient(parse('abc'), parse('.*')), parse('abc|ab|a|')).result, true)
+    })
+
+    it('handles epsilon and nothing', () => {
+      const ab = concatenate([a, b])
+      assert.deepEqual(equivalent(rightQuotient(ab, epsilon(['a'])), ab).result, true)
+      assert.deepEqual(isEmpty(rightQuotient(ab, nothing(['a']))).result, true)
+      assert.deepEqual(isEmpty(rightQuotient(ab, a)).result, true)
+    })
+
+    it('handles symbols the FSMs do not share', () => {
+      assert.deepEqual(isEmpty(rightQuotient(parse('ab'), parse('x'))).result, true)
+      assert.deepEqual([...rightQuotient(parse('a.'), parse('x')).strings()], [['a']])
+    })
+
+    it('is a left quotient of the reversal', () => {
+      const message = parse('(ab|c)*d')
+      const trailers = parse('c*d')
+      assert.deepEqual(equivalent(
+        rightQuotient(message, trailers),
+        reversed(leftQuotient(reversed(message), reversed(trailers)))
+      ).result, true)
+    })
+  })
 })